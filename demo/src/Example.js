@@ -8,7 +8,7 @@ class Example extends Component {
   }
 
   get template () {
-    return `<div id="example"><a href="/" rel="internal">HOME</a> EXAMPLE</div>`
+    return `<div id="example"><a href="/">HOME</a> EXAMPLE</div>`
   }
 
   get components () {
@@ -8,7 +8,7 @@ class Home extends Component {
   }
 
   get template () {
-    return `<div id="home">HOME <a href="/example" rel="internal">EXAMPLE</a></div>`
+    return `<div id="home">HOME <a href="/example">EXAMPLE</a></div>`
   }
 
   get components () {
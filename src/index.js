@@ -3,26 +3,56 @@ import Signal from 'quark-signal'
 import pathToRegexp from 'path-to-regexp'
 import find from 'lodash.find'
 import merge from 'lodash.merge'
+import isEqual from 'lodash.isequal'
 import {
   createBrowserHistory,
   createHashHistory,
-  createMemoryHistory
+  createMemoryHistory,
+  parsePath
 } from 'history'
 
 import {
   addLeadingSlash,
   stripTrailingSlash,
   stripSlashes,
+  joinPaths,
   isString,
   getHashPath,
   generateSpaces,
   supportsBrowserHistory,
   supportsScrollRestoration,
-  startsWith
+  startsWith,
+  hasBasePath,
+  isComponentClass,
+  parseQueryString,
+  stringifyQueryString,
+  createNavigationFailure,
+  isNavigationFailure,
+  isBrowser,
+  insertIntoView,
+  getClosestAnchor,
+  toggleClass,
+  getLocationKey,
+  getElementPosition,
+  createParamType,
+  escapeHtml,
+  updateHeadElements,
+  renderHeadElements
 } from './utils'
 
 const logStyles = 'background: #FF925E; color: #FFFFFF; padding: 3px 5px;'
 
+// Mounted routers, links inside the mount element of a nested router are
+// handled by this one only
+const mountedRouters = []
+
+// Prefix of hash links by hash type
+const hashPrefixes = {
+  slash: '#/',
+  noslash: '#',
+  hashbang: '#!/'
+}
+
 /**
  * Router class.
  *
@@ -40,6 +70,19 @@ const logStyles = 'background: #FF925E; color: #FFFFFF; padding: 3px 5px;'
  *   path: '/'
  * }]
  * const router = new Router({ routes })
+ *
+ * @example
+ * // Nested routes, children are mounted into the parent view element
+ * const routes = [{
+ *   name: 'shop',
+ *   component: 'Shop', // Template contains <div data-router-view></div>
+ *   path: '/shop/:category',
+ *   children: [{
+ *     name: 'product',
+ *     component: 'Product',
+ *     path: ':product'
+ *   }]
+ * }]
  */
 class Router {
   /**
@@ -63,6 +106,13 @@ class Router {
    */
   static MEMORY_MODE = 'memory'
 
+  /**
+   * Server mode, used when there is no window (memory history without DOM).
+   * @type {String}
+   * @static
+   */
+  static SERVER_MODE = 'server'
+
   /**
    * Push action.
    * @type {String}
@@ -84,6 +134,75 @@ class Router {
    */
   static POP_ACTION = 'pop'
 
+  /**
+   * Out-in transition mode, current page leaves then new page enters.
+   * @type {String}
+   * @static
+   */
+  static OUT_IN_TRANSITION = 'out-in'
+
+  /**
+   * In-out transition mode, new page enters then current page leaves.
+   * @type {String}
+   * @static
+   */
+  static IN_OUT_TRANSITION = 'in-out'
+
+  /**
+   * Simultaneous transition mode, pages leave and enter at the same time.
+   * @type {String}
+   * @static
+   */
+  static SIMULTANEOUS_TRANSITION = 'simultaneous'
+
+  /**
+   * Aborted navigation failure, when a newer navigation took place.
+   * @type {String}
+   * @static
+   */
+  static ABORTED_FAILURE = 'aborted'
+
+  /**
+   * Cancelled navigation failure, when a guard or hook stopped navigation.
+   * @type {String}
+   * @static
+   */
+  static CANCELLED_FAILURE = 'cancelled'
+
+  /**
+   * Duplicated navigation failure, when navigating to the current route.
+   * @type {String}
+   * @static
+   */
+  static DUPLICATED_FAILURE = 'duplicated'
+
+  /**
+   * Redirected navigation failure, when a guard redirected navigation.
+   * @type {String}
+   * @static
+   */
+  static REDIRECTED_FAILURE = 'redirected'
+
+  /**
+   * Not found navigation failure, when no route matches.
+   * @type {String}
+   * @static
+   */
+  static NOT_FOUND_FAILURE = 'notFound'
+
+  /**
+   * Test if an error is a navigation failure.
+   * @type {Function}
+   * @static
+   *
+   * @param {*} error Error.
+   * @param {String} [type] Failure type.
+   *
+   * @returns {Boolean} True if error is a navigation failure (of the given
+   *                    type), false otherwise.
+   */
+  static isNavigationFailure = isNavigationFailure
+
   /**
    * Creates an instance of Router.
    * @constructor
@@ -91,271 +210,1288 @@ class Router {
    * @param {Object} [options={}] Options.
    * @param {Array} [options.routes=[]] Routes.
    * @param {String} options.routes.name Route name.
-   * @param {String} options.routes.path Route path.
+   * @param {String|Object} options.routes.path Route path, or paths by
+   *                                            locale.
+   * @param {Object} [options.routes.params] Param types by name, 'int',
+   *        'float', 'uuid', enum values, regexp, parser or object with type,
+   *        pattern, enum, parse and serialize properties.
+   * @param {Object} [options.routes.meta] Route meta, merged with the meta
+   *                                      of parent routes on route.meta.
+   * @param {Object|Function} [options.routes.head] Route head (title and
+   *        meta tags content by name), values can be functions of the
+   *        route, overrides the head of parent routes.
    * @param {Function} [options.routes.callback] Route callback.
-   * @param {String} [options.routes.component] Route component.
-   * @param {Object} [options.components={}] Components.
+   * @param {String|Function} [options.routes.component] Route component
+   *                                                     key, class or
+   *                                                     function returning
+   *                                                     a promise of it.
+   * @param {Array} [options.routes.children] Children routes.
+   * @param {Boolean} [options.routes.keepAlive] Keep the instance alive
+   *                                            when leaving the route,
+   *                                            overrides the keepAlive
+   *                                            option.
+   * @param {Function} [options.routes.beforeEnter] Before enter guard.
+   * @param {String|Object|Function} [options.routes.redirect] Redirect path
+   *                                       (with params of the matched route),
+   *                                       options or function returning one
+   *                                       of them from the matched route.
+   * @param {String|Array} [options.routes.alias] Alias path(s).
+   * @param {Object} [options.routes.resolve] Data resolvers, functions of
+   *                                          the route returning a value or
+   *                                          a promise, resolved on
+   *                                          route.data.
+   * @param {Boolean} [options.routes.cache] Cache resolved data by params
+   *                                         and query.
+   * @param {String|Object|Function} [options.routes.transition] Route
+   *                                       transition, overrides the
+   *                                       transition option.
+   * @param {Object} [options.notFound=null] Route used when no route matches
+   *                                       (without path), a route with a
+   *                                       '*' or '(.*)' path can also be
+   *                                       used as a catch-all.
+   * @param {Object} [options.components={}] Components, classes or
+   *                                         functions returning a promise
+   *                                         of a class.
    * @param {String} [options.basePath='/'] Base path.
    * @param {String} [options.mode=Router.BROWSER_MODE] History mode.
-   * @param {String} [options.locale=''] Locale.
+   * @param {String} [options.hashType='slash'] Hash type of hash mode,
+   *                                          'slash' (#/path), 'noslash'
+   *                                          (#path) or 'hashbang'
+   *                                          (#!/path).
+   * @param {String} [options.locale=''] Locale, the first supported locale
+   *                                     by default.
+   * @param {Array} [options.locales=[]] Supported locales, detected from the
+   *                                    first segment of paths.
    * @param {Boolean} [options.preRendered=false] Pre-rendered.
    * @param {Boolean} [options.restoreScroll=false] Restore scroll.
+   * @param {Function} [options.scrollBehavior=null] Function returning the
+   *        scroll position from (to, from, savedPosition) once the new page
+   *        has entered: { x, y }, { selector, offset }, false or a promise.
    * @param {Boolean} [options.debugMode=false] Debug mode.
+   * @param {String} [options.viewSelector='[data-router-view]'] Selector of
+   *                                        the element children routes are
+   *                                        mounted into.
+   * @param {String} [options.modalSelector='[data-router-modal]'] Selector
+   *                                        of the element modal routes are
+   *                                        mounted into.
+   * @param {Function} [options.parseQuery] Parse a query string (without
+   *                                       leading '?') into an object.
+   * @param {Function} [options.stringifyQuery] Stringify a query object
+   *                                           (without leading '?').
+   * @param {String} [options.queryArrayFormat='repeat'] Array format of the
+   *                                           default query parser
+   *                                           ('repeat', 'bracket' or
+   *                                           'comma').
+   * @param {Boolean} [options.compareQuery=false] Take query into account
+   *                                              when comparing routes.
+   * @param {String|Object|Function} [options.transition=Router.OUT_IN_TRANSITION]
+   *        Transition mode, object with a mode or function returning one of
+   *        them from (from, to, action).
+   * @param {String} [options.stateKey='__ROUTER_STATE__'] Window property of
+   *                                                     the server state.
+   * @param {Boolean} [options.scopeLinks] Only intercept clicks on links
+   *                                      inside the mount element, true by
+   *                                      default in memory mode.
+   * @param {String} [options.ignoreAttribute='data-router-ignore'] Attribute
+   *                                       of links not handled by router.
+   * @param {String} [options.activeClass='router-link-active'] Class of
+   *                                       links to the current route or one
+   *                                       of its parents.
+   * @param {String} [options.exactActiveClass='router-link-exact-active']
+   *        Class of links to the current route.
+   * @param {Function} [options.confirm] Ask the user to confirm a navigation
+   *                                    blocked with a message (see block),
+   *                                    returns a boolean or a promise of it.
+   *                                    Uses window.confirm by default.
+   * @param {Boolean|Object} [options.head=false] Update document head on
+   *                                             route changes (title, meta
+   *                                             tags, canonical and
+   *                                             hreflang links).
+   * @param {String|Function} [options.head.titleTemplate='%s'] Title
+   *                                             template or function of
+   *                                             (title, route).
+   * @param {String} [options.head.origin] Origin of links, window origin by
+   *                                      default. Required on server,
+   *                                      canonical and hreflang links are
+   *                                      not added without it.
+   * @param {Boolean} [options.head.canonical=true] Add a canonical link.
+   * @param {Boolean} [options.head.hreflang=true] Add hreflang links of
+   *                                              supported locales.
+   * @param {String} [options.head.attribute='data-router-head'] Attribute
+   *                                        of managed elements.
+   * @param {Boolean|Object} [options.keepAlive=false] Keep instances alive
+   *                                                  when leaving routes,
+   *                                                  they are detached and
+   *                                                  reattached on return.
+   * @param {Number} [options.keepAlive.max=10] Maximum number of detached
+   *                                           instances, least recently
+   *                                           used ones are destroyed.
+   * @param {Array} [options.keepAlive.include] Names of routes kept alive,
+   *                                           all routes by default.
+   * @param {Array} [options.keepAlive.exclude=[]] Names of routes not kept
+   *                                              alive, unless their
+   *                                              keepAlive field is true.
    */
   constructor ({
     routes = [],
     components = {},
     basePath = '/',
     mode = Router.BROWSER_MODE,
+    hashType = 'slash',
     locale = '',
+    locales = [],
     preRendered = false,
     restoreScroll = false,
-    debugMode = false
+    scrollBehavior = null,
+    debugMode = false,
+    viewSelector = '[data-router-view]',
+    modalSelector = '[data-router-modal]',
+    parseQuery = null,
+    stringifyQuery = null,
+    queryArrayFormat = 'repeat',
+    compareQuery = false,
+    notFound = null,
+    transition = Router.OUT_IN_TRANSITION,
+    stateKey = '__ROUTER_STATE__',
+    scopeLinks = null,
+    ignoreAttribute = 'data-router-ignore',
+    activeClass = 'router-link-active',
+    exactActiveClass = 'router-link-exact-active',
+    confirm = null,
+    head = false,
+    keepAlive = false
   } = {}) {
     this.routes = routes
     this.components = components
     this.basePath = stripTrailingSlash(basePath)
-    this.mode = mode
-    this.locale = stripSlashes(locale)
+    this.mode = isBrowser() ? mode : Router.SERVER_MODE
+    this.hashType = hashType
+    this.locales = locales.map(stripSlashes)
+    this.locale = stripSlashes(locale || this.locales[0] || '')
     this.preRendered = preRendered
     this.restoreScroll = restoreScroll
+    this.scrollBehavior = scrollBehavior
     this.debugMode = debugMode
+    this.viewSelector = viewSelector
+    this.modalSelector = modalSelector
+    this.parseQuery = parseQuery || (str =>
+      parseQueryString(str, { arrayFormat: queryArrayFormat }))
+    this.stringifyQuery = stringifyQuery || (query =>
+      stringifyQueryString(query, { arrayFormat: queryArrayFormat }))
+    this.compareQuery = compareQuery
+    this.notFound = notFound
+    this.transition = transition
+    this.stateKey = stateKey
+    this.scopeLinks = scopeLinks !== null
+      ? scopeLinks
+      : this.mode === Router.MEMORY_MODE
+    this.ignoreAttribute = ignoreAttribute
+    this.activeClass = activeClass
+    this.exactActiveClass = exactActiveClass
+    this.confirm = confirm || (message => window.confirm(message))
+    this.head = head ? {
+      titleTemplate: '%s',
+      origin: null,
+      canonical: true,
+      hreflang: true,
+      attribute: 'data-router-head',
+      ...(head === true ? {} : head)
+    } : null
+    this.keepAlive = {
+      enabled: !!keepAlive,
+      max: 10,
+      include: null,
+      exclude: [],
+      ...(keepAlive && keepAlive !== true ? keepAlive : {})
+    }
+
+    if (
+      this.head !== null &&
+      this.head.origin === null &&
+      (this.head.canonical || this.head.hreflang) &&
+      this.mode === Router.SERVER_MODE
+    ) {
+      console.error('Router : head.origin is required on server for ' +
+        'canonical and hreflang links')
+    }
 
     this.history = null
     this.routeData = []
     this.action = Router.REPLACE_ACTION
     this.lastRoute = null
     this.currentRoute = null
+    this.pendingRoute = null
     this.pageInstance = null
+    this.pageInstances = []
+    this.modalInstance = null
+    this.backgroundRoute = null
     this.isFirstRoute = true
+    this.isLoading = false
 
     this.routeChanged = new Signal()
     this.beforeEachChanged = new Signal()
     this.afterEachChanged = new Signal()
+    this.loadingChanged = new Signal()
+    this.navigationFailed = new Signal()
+    this.localeChanged = new Signal()
 
     this._mountEl = null
+    this._linksEl = null
+    this._observer = null
+    this._notFoundRouteData = null
+    this._popResolvers = []
+    this._navigationId = 0
+    this._transitionPromise = Promise.resolve()
+    this._loadingCount = 0
+    this._hydrationState = null
+    this._scrollPositions = {}
+    this._locationKey = null
+    this._locationKeys = []
+    this._restoringPop = null
+    this._isDestroyed = false
+    this._blockers = []
+    this._unblockHistory = null
+    this._blockedTransition = null
+    this._isCommitting = false
+    this._head = null
+    this._plugins = []
+    this._pageKeys = []
+    this._keepAliveCache = []
+    this._redirectPromise = null
 
     this._createHistory()
     this._bind()
     this._parseRoutes()
-    this._parseAnchors()
+    this._parseNotFound()
   }
 
   /**
    * Mount.
    *
    * @param {String|HTMLElement} el DOM element to mount the router on.
+   *
+   * @returns {Promise} Promise of the first navigation (see navigate).
    */
   mount (el) {
     this._mountEl = (typeof el === 'string') ? document.querySelector(el) : el
-    this._firstRoute()
+    this._linksEl = this.scopeLinks ? this._mountEl : document
+    this._linksEl.addEventListener('click', this._handleClick, false)
+
+    mountedRouters.push(this)
+
+    // Update active state of links inserted later
+    if (typeof window.MutationObserver !== 'undefined') {
+      this._observer = new window.MutationObserver(this._handleMutations)
+      this._observer.observe(this._linksEl, { childList: true, subtree: true })
+    }
+
+    return this._firstRoute()
+  }
+
+  /**
+   * Destroy the router, listeners are removed, the pending navigation and
+   * the running transition are aborted and page instances are destroyed.
+   */
+  destroy () {
+    const index = mountedRouters.indexOf(this)
+
+    if (index !== -1) {
+      mountedRouters.splice(index, 1)
+    }
+
+    // Abort pending navigation and running transition
+    this._isDestroyed = true
+    this._navigationId++
+    this.pendingRoute = null
+
+    this._unbind()
+
+    // Clean up plugins
+    const plugins = this._plugins.slice()
+
+    for (let i = 0, l = plugins.length; i < l; i++) {
+      this._removePlugin(plugins[i])
+    }
+
+    const instances = this.pageInstances.concat(this.modalInstance,
+      this._keepAliveCache.map(({ instance }) => instance))
+
+    for (let i = 0, l = instances.length; i < l; i++) {
+      const instance = instances[i]
+
+      if (instance && typeof instance.$destroy === 'function') {
+        instance.$destroy()
+      }
+    }
+
+    this.routeChanged.removeAll()
+    this.beforeEachChanged.removeAll()
+    this.afterEachChanged.removeAll()
+    this.loadingChanged.removeAll()
+    this.navigationFailed.removeAll()
+    this.localeChanged.removeAll()
+
+    this.pageInstance = null
+    this.pageInstances = []
+    this.modalInstance = null
+    this.backgroundRoute = null
+    this._pageKeys = []
+    this._keepAliveCache = []
+    this.lastRoute = null
+    this.currentRoute = null
+    this._mountEl = null
+    this._popResolvers = []
+    this._scrollPositions = {}
+
+    if (this._restoringPop !== null) {
+      this._restoringPop()
+      this._restoringPop = null
+    }
   }
 
   /**
    * Navigate.
    *
    * @param {String|Object} [options={}] Path or options.
-   * @param {String} [options.query] Route query.
+   * @param {Object|String} [options.query] Route query.
    * @param {String} [options.hash] Route hash.
    * @param {String} [options.name] Route name.
    * @param {Boolean} [options.silent] Silent (replace instead of push).
    * @param {Object} [options.params] Route parameters.
+   * @param {String} [options.locale] Locale, if path has no locale.
+   * @param {Boolean|String|Object} [options.background] Open the route as a
+   *        modal over the current page (true) or over a background location
+   *        (path or options with path, query, hash and locale).
+   *
+   * @returns {Promise} Promise resolved with the new route, or rejected with
+   *                    a navigation failure (see Router.isNavigationFailure)
+   *                    or an error.
+   *
+   * @example
+   * router.navigate('/user/1')
+   *   .then(route => { })
+   *   .catch(failure => {
+   *     if (Router.isNavigationFailure(failure, Router.CANCELLED_FAILURE)) { }
+   *   })
+   *
+   * @example
+   * // Open the product as a modal over the current page
+   * router.navigate({ path: '/product/42', background: true })
    */
   navigate (options = {}) {
+    // Errors thrown before the navigation starts reject its promise too
+    try {
+      return this._navigate(options)
+    } catch (error) {
+      return this._failNavigate(error)
+    }
+  }
+
+  /**
+   * Navigate, see navigate.
+   * @private
+   *
+   * @param {String|Object} options Path or options.
+   *
+   * @returns {Promise} Promise resolved with the new route.
+   */
+  _navigate (options) {
     let path = isString(options) ? options : options.path
     let match = null
 
-    const query = options.query || null
+    const query = this._parseQuery(options.query)
     const hash = options.hash || null
     const name = options.name || null
     const silent = options.silent || false
     const params = options.params || null
-    const localePrefix = this.locale ? addLeadingSlash(this.locale) : ''
-
-    // Try to find route path by name first
+    const redirects = options._redirects || []
+    const action = options._action ||
+      (silent ? Router.REPLACE_ACTION : Router.PUSH_ACTION)
+    let locale = options.locale ? stripSlashes(options.locale) : this.locale
+    const savedPosition = action === Router.POP_ACTION
+      ? this._scrollPositions[getLocationKey(this.history.location)] || null
+      : null
+
+    // Try to build route path from name and params first
     if (name !== null) {
-      path = this._matchRouteByName(name).path
+      const resolved = this.resolve({ name, params, locale })
+
+      if (resolved === null) {
+        return this._failNavigate(new Error(`Router.navigate : Cannot ` +
+          `resolve route with name : '${name}'`))
+      }
+
+      path = resolved.path
     }
 
     // If no path property found
-    if (path === null) {
-      console.error('Router.navigate : Cannot get route path')
-      return
+    if (!isString(path)) {
+      return this._failNavigate(new Error('Router.navigate : Cannot get ' +
+        'route path'))
     }
 
+    // Locale of the path takes precedence
+    locale = this._getPathLocale(path) || locale
+
     // Clean path and find route by path
     path = this._cleanPath(path)
-    match = this._match(path)
+
+    // If path has already been redirected from, cancel navigate
+    if (redirects.indexOf(path) !== -1) {
+      return this._failNavigate(new Error(`Router.navigate : Redirect loop ` +
+        `detected with path : '${path}'`))
+    }
+
+    match = this._match(path, locale) || this._matchNotFound(path)
 
     // If no match
     if (match === null) {
-      console.error(`Router.navigate : No matching route found ` +
-        `with path : '${path}'`)
-      return
+      return this._failNavigate(createNavigationFailure(
+        Router.NOT_FOUND_FAILURE,
+        `Router.navigate : No matching route found with path : '${path}'`,
+        this.lastRoute,
+        { name: null, path, params: {}, query, hash, locale }
+      ))
     }
 
-    let newRoute = match.route
+    const newRoute = match.route
+    const leaf = match.matchedRouteData[match.matchedRouteData.length - 1]
+    const localePrefix = locale ? addLeadingSlash(locale) : ''
     const callback = match.callback
-    const component = match.component
+    const hasComponent = match.matchedRouteData.some(routeData =>
+      typeof this._getComponent(routeData) === 'function')
 
-    // Merge options.params with matched route params
+    // Merge options.params with matched route params, path params keep the
+    // value parsed from the path with their type
     if (params && typeof params === 'object') {
-      newRoute.params = merge(newRoute.params, params)
+      const { keys } = leaf
+
+      Object.keys(params).forEach(key => {
+        if (!find(keys, ({ name }) => name === key)) {
+          newRoute.params[key] = params[key]
+        }
+      })
     }
 
-    // Merge query and hash
-    newRoute = merge(newRoute, {
-      query, hash
-    })
+    // Set query, hash and locale
+    newRoute.query = query
+    newRoute.hash = hash
+    newRoute.locale = locale
+
+    if (redirects.length > 0) {
+      newRoute.redirectedFrom = redirects[0]
+    }
+
+    // Route fields added by plugins
+    this._applyPluginFields(newRoute, match.matchedRouteData)
+    this._callPlugins('resolve', this.lastRoute, newRoute)
+
+    // Redirect route
+    const { redirect } = leaf.route
+
+    if (typeof redirect !== 'undefined' && redirect !== null) {
+      const target = this._getRedirectTarget(redirect, newRoute)
+
+      if (target === null) {
+        return this._failNavigate(new Error(`Router.navigate : Cannot ` +
+          `redirect route with path : '${path}'`))
+      }
+
+      return this._redirect(target, newRoute, silent, redirects)
+    }
 
     // If same route, cancel navigate
     if (this._isRouteEqual(this.currentRoute, newRoute)) {
-      return
+      return this._failNavigate(createNavigationFailure(
+        Router.DUPLICATED_FAILURE,
+        'Router.navigate : Cancel because same route',
+        this.currentRoute,
+        newRoute
+      ))
     }
 
     // If no callback and component is found, cancel navigate
-    if (typeof callback !== 'function' && typeof component !== 'function') {
-      if (this.debugMode) {
-        console.log('%cRouter.navigate', logStyles, 'Cancel because ' +
-          'no callback or component found')
-      }
-      return
+    if (typeof callback !== 'function' && !hasComponent) {
+      return this._failNavigate(createNavigationFailure(
+        Router.CANCELLED_FAILURE,
+        'Router.navigate : Cancel because no callback or component found',
+        this.lastRoute,
+        newRoute
+      ))
     }
 
-    // Before promise (before each hook)
-    const beforePromise = new Promise((resolve, reject) => {
-      if (typeof this.beforeEach === 'function') {
-        this.beforeEach(this.lastRoute, newRoute, resolve)
-        this.beforeEachChanged.dispatch(this.lastRoute, newRoute, resolve)
-      } else {
-        resolve(true) // By default, resolve if before hook does not exist
+    // Modal routes are rendered over the page, a background location is
+    // navigated to first if it is not the page (pops and first route)
+    const pageRoute = this.backgroundRoute || this.lastRoute
+    let backgroundRoute = null
+
+    if (options.background) {
+      const background = isString(options.background)
+        ? { path: options.background }
+        : options.background
+
+      if (background !== true && !this._isPageLocation(background)) {
+        return this.navigate({ ...background, _action: Router.POP_ACTION })
+          .then(() => this.navigate({ ...options, background: true }))
       }
-    })
 
-    beforePromise.then((resolved = true) => {
-      // If next promise resolved truthly otherwise, cancel navigate
-      if (resolved) {
+      backgroundRoute = pageRoute
+    }
+
+    const isModal = backgroundRoute !== null
+    const leafDepth = match.matchedRouteData.length - 1
+
+    newRoute.background = backgroundRoute
+
+    // Instances of unchanged parent routes are kept alive, instances of
+    // routes whose params only changed are kept if they can be updated,
+    // only the deepest instance of modal routes is created
+    const sharedDepth = isModal
+      ? leafDepth
+      : this._getSharedDepth(pageRoute, newRoute)
+    const reusedDepth = isModal
+      ? leafDepth
+      : this._getReusedDepth(pageRoute, newRoute, sharedDepth)
+
+    // Left instances, deepest first (the modal is above the page)
+    const leaving = (this.modalInstance ? [this.modalInstance] : [])
+      .concat(isModal ? [] : this.pageInstances.slice(reusedDepth).reverse())
+
+    // Guards (before leave, before each, before update and before enter)
+    const guards = this._getGuards(match.matchedRouteData, sharedDepth,
+      reusedDepth, leaving)
+
+    // A newer navigation aborts this one
+    const navigation = {
+      id: ++this._navigationId,
+      from: this.lastRoute,
+      to: newRoute,
+      action
+    }
+
+    this.pendingRoute = newRoute
+
+    // Keep alive keys of instances
+    let keys = []
+    // Instances created for this navigation, destroyed if it is not committed
+    const created = []
+    let isCommitted = false
+
+    // Blockers are confirmed before guards, pops are confirmed by history
+    const confirmation = options._confirmed || action === Router.POP_ACTION
+      ? Promise.resolve(true)
+      : this._confirmBlockers(newRoute, this.lastRoute, action)
+
+    return confirmation
+      .then(confirmed => {
+        this._assertNavigation(navigation)
+
+        if (!confirmed) {
+          throw createNavigationFailure(
+            Router.CANCELLED_FAILURE,
+            'Router.navigate : Navigation blocked',
+            this.lastRoute,
+            newRoute
+          )
+        }
+
+        return this._runGuards(guards, this.lastRoute, newRoute, navigation)
+      })
+      .then(result => {
+        this._assertNavigation(navigation)
+
+        // Popped history entry is restored when guards cancel or redirect
+        const restored = result !== true && action === Router.POP_ACTION
+          ? this._restorePop()
+          : Promise.resolve()
+
+        // If all guards resolved truthly otherwise, cancel or redirect
+        if (result === false) {
+          const failure = createNavigationFailure(
+            Router.CANCELLED_FAILURE,
+            'Router.navigate : Guard stopped route change',
+            this.lastRoute,
+            newRoute
+          )
+
+          return restored.then(() => Promise.reject(failure))
+        } else if (result !== true) {
+          // Redirect of a pop is pushed after the restored entry
+          this._redirectPromise = restored.then(() => this._redirect(result,
+            newRoute, silent && action !== Router.POP_ACTION, redirects, true))
+          this._redirectPromise.catch(() => {}) // Handled by the redirect
+
+          throw createNavigationFailure(
+            Router.REDIRECTED_FAILURE,
+            'Router.navigate : Guard redirected route change',
+            this.lastRoute,
+            newRoute
+          )
+        }
+
+        // Load lazy components and resolve data before changing route
+        return Promise.all([
+          this._loadComponents(match.matchedRouteData),
+          this._resolveData(match.matchedRouteData, newRoute),
+          Promise.all(this._callPlugins('load', this.lastRoute, newRoute))
+        ])
+      })
+      .then(([loaded, data]) => {
+        this._assertNavigation(navigation)
+
+        newRoute.data = data
+
+        // Instanciate components, or reuse instances kept alive
+        keys = match.matchedRouteData.map((routeData, depth) => {
+          if (isModal) {
+            return null
+          }
+
+          return depth < reusedDepth
+            ? this._pageKeys[depth] || null
+            : this._getKeepAliveKey(routeData, newRoute, depth)
+        })
+
+        const instances = loaded.map((component, depth) => {
+          if (depth < reusedDepth) {
+            return isModal ? null : this.pageInstances[depth] || null
+          }
+
+          if (typeof component !== 'function') {
+            return null
+          }
+
+          const cached = find(this._keepAliveCache, ({ key }) =>
+            keys[depth] !== null && key === keys[depth])
+
+          if (cached) {
+            return cached.instance
+          }
+
+          const instance = new component() // eslint-disable-line
+
+          created.push(instance)
+
+          return instance
+        })
+
+        newRoute.instances = instances
+        newRoute.instance = find(instances, instance =>
+          instance !== null) || null
+
+        // After each hook
+        return new Promise((resolve, reject) => {
+          if (typeof this.afterEach === 'function') {
+            this.afterEach(this.lastRoute, newRoute, resolve)
+            this.afterEachChanged.dispatch(this.lastRoute, newRoute, resolve)
+          } else {
+            resolve(true)
+          }
+        })
+      })
+      .then((resolved = true) => {
+        this._assertNavigation(navigation)
+
+        if (!resolved) {
+          throw createNavigationFailure(
+            Router.CANCELLED_FAILURE,
+            'Router.navigate : afterEach stopped route change',
+            this.lastRoute,
+            newRoute
+          )
+        }
+
+        // Commit route once navigation ends
+        const lastLocale = this.locale
+
+        isCommitted = true
+        this.pendingRoute = null
         this.currentRoute = newRoute
+        this.backgroundRoute = backgroundRoute
+        this.locale = locale
 
         const locationObj = {
           pathname: `${localePrefix}${path}`,
-          search: query,
+          search: this._stringifyQuery(query),
           hash,
-          state: newRoute
+          // Hash history has no state
+          state: this.mode !== Router.HASH_MODE
+            ? {
+              ...this._serializeRoute(newRoute),
+              background: isModal ? this._serializeRoute(backgroundRoute) : null
+            }
+            : undefined
         }
 
-        // If silent == true replace locationObj instead of pushing it
-        if (silent === true) {
+        // Navigation is already confirmed, do not block it again
+        this._isCommitting = true
+
+        // Popped history entry is already the current one
+        if (action === Router.POP_ACTION) {
+          this._dispatchRouteChange()
+        } else if (silent === true) {
+          // If silent == true replace locationObj instead of pushing it
           this.action = Router.REPLACE_ACTION
           this.history.replace(locationObj)
         } else {
+          this._saveScrollPosition()
           this.action = Router.PUSH_ACTION
           this.history.push(locationObj)
         }
 
-        // Instanciate component
-        if (typeof component === 'function') {
-          const pageInstance = new component() // eslint-disable-line
-          this.currentRoute.instance = pageInstance
+        this._isCommitting = false
+        this._updateLocationKeys(action)
+
+        if (locale !== lastLocale) {
+          this.localeChanged.dispatch(locale, lastLocale)
         }
 
-        // After each hook
-        const afterPromise = new Promise((resolve, reject) => {
-          if (typeof this.afterEach === 'function') {
-            this.afterEach(this.lastRoute, this.currentRoute, resolve)
-            this.afterEachChanged.dispatch(
-              this.lastRoute, this.currentRoute,
-              resolve
-            )
-          } else {
-            resolve(true)
-          }
-        })
+        this._updateHead(match.matchedRouteData, newRoute)
+        // Location is already changed, the page must be mounted anyway
+        this._callPlugins('commit', navigation.from, newRoute, true)
 
-        afterPromise.then((resolved = true) => {
-          if (resolved) {
-            // Call callback
-            if (typeof callback === 'function') {
-              callback.call(this, this.currentRoute)
-            }
+        // Call callback
+        if (typeof callback === 'function') {
+          callback.call(this, this.currentRoute)
+        }
 
-            // Mount component
-            if (typeof component === 'function') {
-              this.pageInstance = this.currentRoute.instance
-              if (this.preRendered && this.isFirstRoute) {
-                this.pageInstance.$preRenderMount(
-                  this._mountEl.firstElementChild
-                )
-              } else {
-                this.pageInstance.$mount(this._mountEl, 'append')
-              }
-            }
+        // Mount components with a transition
+        const transition = this._getTransition(match.matchedRouteData,
+          navigation)
+        const mountPromise = isModal
+          ? this._mountModal(newRoute.instances[leafDepth], transition)
+          : this._mountInstances(newRoute.instances, reusedDepth, transition,
+            keys)
+
+        if (this.lastRoute === null) {
+          this.isFirstRoute = false
+          this.lastRoute = newRoute
+        } else {
+          this.lastRoute = this.currentRoute
+        }
 
-            this._parseAnchors()
+        return mountPromise
+      })
+      .then(() => this._scroll(newRoute, navigation.from, savedPosition))
+      .then(() => Promise.all(this._callPlugins('mount', navigation.from,
+        newRoute)))
+      .then(() => {
+        this._updateActiveLinks()
 
-            if (this.lastRoute === null) {
-              this.isFirstRoute = false
-              this.lastRoute = newRoute
-            } else {
-              this.lastRoute = this.currentRoute
-            }
-          } else if (this.debugMode) {
-            console.log('%cRouter.hooks', logStyles, 'afterEach stopped ' +
-              'route change')
-          }
-        })
-      } else if (this.debugMode) {
-        console.log('%cRouter.hooks', logStyles, 'beforeEach stopped ' +
-          'route change')
-      }
+        return newRoute
+      })
+      .catch(error => {
+        if (navigation.id === this._navigationId) {
+          this.pendingRoute = null
+        }
+
+        if (!isCommitted) {
+          created.forEach(instance => instance.$destroy())
+        }
+
+        return this._failNavigate(error, newRoute)
+      })
+  }
+
+  /**
+   * Use a plugin, hooks returned by the plugin are called in registration
+   * order at each stage of navigations :
+   * - resolve(from, to) once the route is matched, before redirects
+   * - guard(from, to, next) after beforeEach, like other guards
+   * - load(from, to) while loading components and resolving data, can
+   *   return a promise
+   * - commit(from, to) once the route is changed, errors are logged as the
+   *   location is already changed
+   * - mount(from, to) once the new page has entered, can return a promise
+   * - destroy() when the plugin is removed or the router destroyed
+   *
+   * Hooks can also have a fields object, of route definition fields set on
+   * routes (from the deepest matched route defining them) with their
+   * default value.
+   *
+   * @param {Function|Object} plugin Function or object with an install
+   *                                 method, called with (router, options)
+   *                                 and returning hooks.
+   * @param {Object} [options={}] Plugin options.
+   *
+   * @returns {Function} Function removing the plugin.
+   *
+   * @example
+   * router.use(router => ({
+   *   fields: { requiresAuth: false },
+   *   guard: (from, to, next) => next(!to.requiresAuth || isLogged())
+   * }))
+   */
+  use (plugin, options = {}) {
+    const install = typeof plugin === 'function'
+      ? plugin
+      : (plugin && plugin.install)
+
+    if (typeof install !== 'function') {
+      console.error('Router.use : Plugin must be a function or an object ' +
+        'with an install method')
+      return () => {}
+    }
+
+    const hooks = install.call(plugin, this, options) || {}
+
+    this._plugins.push(hooks)
+
+    return () => this._removePlugin(hooks)
+  }
+
+  /**
+   * Set the locale, the current route is navigated to in the new locale.
+   *
+   * @param {String} locale Supported locale.
+   *
+   * @returns {Promise} Promise of the navigation (see navigate).
+   *
+   * @example
+   * router.setLocale('fr') // /en/about => /fr/a-propos
+   */
+  setLocale (locale) {
+    locale = stripSlashes(locale)
+
+    if (this.locales.length > 0 && this.locales.indexOf(locale) === -1) {
+      return this._failNavigate(new Error(`Router.setLocale : Unsupported ` +
+        `locale : '${locale}'`))
+    }
+
+    const route = this.currentRoute
+
+    if (locale === this.locale) {
+      return Promise.resolve(route)
+    }
+
+    // Not mounted yet, the first route will be in the new locale
+    if (route === null) {
+      const lastLocale = this.locale
+
+      this.locale = locale
+      this.localeChanged.dispatch(locale, lastLocale)
+
+      return Promise.resolve(null)
+    }
+
+    return this.navigate({
+      path: this._translatePath(route, locale),
+      query: route.query,
+      hash: route.hash,
+      locale
     })
-      .catch(error => console.log('%cRouter.hooks', logStyles, error))
+  }
+
+  /**
+   * Block navigations, for push, replace and pop actions (back/forward
+   * buttons, hash changes). The URL is restored if a pop is blocked.
+   *
+   * @param {Function} fn Blocker called with (to, from, action), returns
+   *                      false to block, a message to ask the user to
+   *                      confirm (see confirm option), or a promise of them.
+   * @param {Object} [options={}] Options.
+   * @param {Boolean} [options.beforeUnload=false] Also block tab closes and
+   *                                              reloads, only a synchronous
+   *                                              false or message blocks.
+   *
+   * @returns {Function} Unblock function.
+   *
+   * @example
+   * const unblock = router.block(() => form.isDirty ? 'Leave page ?' : true)
+   */
+  block (fn, { beforeUnload = false } = {}) {
+    const blocker = { fn, beforeUnload }
+
+    this._blockers.push(blocker)
+
+    if (this._unblockHistory === null) {
+      this._unblockHistory = this.history.block(this._handleBlock)
+
+      if (this.mode !== Router.SERVER_MODE) {
+        window.addEventListener('beforeunload', this._handleBeforeUnload,
+          false)
+      }
+    }
+
+    return () => {
+      const index = this._blockers.indexOf(blocker)
+
+      if (index !== -1) {
+        this._blockers.splice(index, 1)
+      }
+
+      if (this._blockers.length === 0 && this._unblockHistory !== null) {
+        this._unblock()
+      }
+    }
   }
 
   /**
    * Go to the given history entry.
    *
    * @param {Number} n Index history entry.
+   *
+   * @returns {Promise} Promise settled once the navigation to the history
+   *                    entry ends (see navigate), rejected with a cancelled
+   *                    failure if there is no such entry.
    */
   go (n) {
+    // Memory history knows its entries, it stays on the first and last ones
+    if (typeof this.history.canGo === 'function' && !this.history.canGo(n)) {
+      return this._failNavigate(createNavigationFailure(
+        Router.CANCELLED_FAILURE,
+        `Router.go : No history entry to go to : ${n}`,
+        this.currentRoute,
+        null
+      ))
+    }
+
+    const promise = this._waitForPop()
     this.history.go(n)
+
+    return promise
   }
 
   /**
    * Go to the previous history entry.
+   *
+   * @returns {Promise} Promise settled once the navigation to the history
+   *                    entry ends (see navigate).
    */
   back () {
-    this.history.goBack()
+    return this.go(-1)
   }
 
   /**
    * Go to the next history entry.
+   *
+   * @returns {Promise} Promise settled once the navigation to the history
+   *                    entry ends (see navigate).
    */
   forward () {
-    this.history.goForward()
+    return this.go(1)
   }
 
   /**
    * Replace the current history entry.
    *
-   * @param {Object} [options={}] Options.
+   * @param {String|Object} [options={}] Path or options (see navigate).
+   *
+   * @returns {Promise} Promise resolved with the new route (see navigate).
    */
   replace (options = {}) {
-    options.silent = true
-    this.navigate(options)
+    return this.navigate(isString(options)
+      ? { path: options, silent: true }
+      : { ...options, silent: true })
   }
 
   /**
-   * Before each hook.
+   * Render a url to string, on server.
    *
-   * @param {Object} from From route.
-   * @param {Object} to To route.
-   * @param {Function} next Next callback.
+   * @param {String} url Request url (path, query and hash).
+   *
+   * @returns {Promise} Promise resolved with the route, the rendered html
+   *                    of its instances, the head html (if head option is
+   *                    enabled), the state to hydrate the client with and
+   *                    the redirect href (if the url was redirected, by
+   *                    route redirects or guards, null otherwise), or
+   *                    rejected like navigate.
+   *
+   * @example
+   * const router = new Router({ routes, components })
+   *
+   * router.renderToString(req.url)
+   *   .then(({ html, state, redirect }) => redirect
+   *     ? res.redirect(302, redirect)
+   *     : res.send(renderPage(html, state)))
    */
-  beforeEach (from, to, next) {
-    if (from && from.instance) {
-      from.instance.$destroy()
+  renderToString (url) {
+    const { pathname, search, hash } = parsePath(url)
+
+    // Guards redirect with a new navigation, which is followed
+    const follow = promise => promise.catch(failure => {
+      const redirectPromise = this._redirectPromise
+
+      if (
+        isNavigationFailure(failure, Router.REDIRECTED_FAILURE) &&
+        redirectPromise !== null &&
+        redirectPromise !== promise
+      ) {
+        return follow(redirectPromise)
+      }
+
+      throw failure
+    })
+
+    return follow(this.navigate({
+      path: pathname,
+      query: search,
+      hash,
+      silent: true
+    })).then(route => this._renderInstances(route.instances).then(html => ({
+      route,
+      html,
+      head: this._renderHead(),
+      state: {
+        route: this._serializeRoute(route),
+        data: route.data
+      },
+      redirect: route.redirectedFrom ? this.href(route) : null
+    })))
+  }
+
+  /**
+   * Serialize a state into a script setting it on window, on server.
+   *
+   * @param {Object} state State returned by renderToString.
+   *
+   * @returns {String} Script tag.
+   */
+  serializeState (state) {
+    const json = JSON.stringify(state)
+      .replace(/</g, '\\u003C')
+      .replace(/\u2028/g, '\\u2028')
+      .replace(/\u2029/g, '\\u2029')
+
+    return `<script>window[${JSON.stringify(this.stateKey)}] = ${json}</script>`
+  }
+
+  /**
+   * Hydrate a server rendered page, instances of the first route are
+   * pre-render mounted on existing DOM elements and data resolved on server
+   * is used instead of resolving it again.
+   *
+   * @param {String|HTMLElement} el DOM element to mount the router on.
+   * @param {Object} [state=window[this.stateKey]] State returned by
+   *                                              renderToString.
+   *
+   * @returns {Promise} Promise of the first navigation (see navigate).
+   */
+  hydrate (el, state = window[this.stateKey]) {
+    this.preRendered = true
+    this._hydrationState = state || null
+
+    return this.mount(el)
+  }
+
+  /**
+   * Resolve a route location.
+   *
+   * @param {String|Object} [options={}] Path or options.
+   * @param {String} [options.name] Route name.
+   * @param {Object} [options.params] Route parameters, used to build the
+   *                                  path of a named route.
+   * @param {String} [options.path] Route path, if no name is given.
+   * @param {Object|String} [options.query] Route query.
+   * @param {String} [options.hash] Route hash.
+   * @param {String} [options.locale=this.locale] Locale.
+   *
+   * @returns {Object|null} Resolved location (name, path, params, query, hash,
+   *                        locale and href) or null if it cannot be
+   *                        resolved.
+   *
+   * @example
+   * router.resolve({ name: 'user', params: { id: 1 } })
+   * // => { name: 'user', path: '/user/1', href: '/user/1', ... }
+   */
+  resolve (options = {}) {
+    let path = isString(options) ? options : (options.path || null)
+
+    const name = options.name || null
+    const params = options.params || {}
+    const query = this._parseQuery(options.query)
+    const locale = options.locale ? stripSlashes(options.locale) : this.locale
+    let hash = options.hash || null
+
+    if (name !== null) {
+      const routeData = this._matchRouteByName(name, locale)
+
+      if (!routeData) {
+        console.error(`Router.resolve : No route found with name : '${name}'`)
+        return null
+      }
+
+      // Build path, throws if a parameter is missing or invalid
+      try {
+        path = this._buildPath(routeData, params)
+      } catch (error) {
+        console.error(`Router.resolve : Cannot build path of route ` +
+          `'${name}' : ${error.message}`)
+        return null
+      }
+    }
+
+    if (path === null) {
+      console.error('Router.resolve : Cannot get route path')
+      return null
+    }
+
+    if (hash !== null && !startsWith(hash, '#')) {
+      hash = `#${hash}`
+    }
+
+    const fullPath = this._getFullPath({
+      locale,
+      path,
+      query: this._stringifyQuery(query),
+      hash
+    })
+
+    return {
+      name,
+      path,
+      params,
+      query,
+      hash,
+      locale,
+      href: this.mode === Router.HASH_MODE
+        ? this.history.createHref(parsePath(this._getFullPath({
+          basePath: '',
+          locale,
+          path,
+          query: this._stringifyQuery(query),
+          hash
+        })))
+        : fullPath
+    }
+  }
+
+  /**
+   * Build the href of a route location.
+   *
+   * @param {String|Object} [options={}] Path or options (see resolve).
+   *
+   * @returns {String|null} Href or null if it cannot be resolved.
+   */
+  href (options = {}) {
+    const resolved = this.resolve(options)
+
+    return resolved !== null ? resolved.href : null
+  }
+
+  /**
+   * Add a route, a route with the same name is replaced. The current location
+   * is navigated to again if the new route matches it.
+   *
+   * @param {Object} route Route (see constructor routes option).
+   * @param {Object} [options={}] Options.
+   * @param {String} [options.parent] Name of the parent route.
+   *
+   * @returns {Function} Function removing the added route.
+   *
+   * @example
+   * router.addRoute({ name: 'users', path: 'users', component: 'Users' }, {
+   *   parent: 'admin'
+   * })
+   */
+  addRoute (route, { parent = null } = {}) {
+    let routes = this.routes
+
+    if (parent !== null) {
+      const found = this._findRoute(parent)
+
+      if (found === null) {
+        console.error(`Router.addRoute : No parent route found with name : ` +
+          `'${parent}'`)
+        return () => {}
+      }
+
+      found.route.children = found.route.children || []
+      routes = found.route.children
+    }
+
+    if (route.name && this._findRoute(route.name) !== null) {
+      this.removeRoute(route.name)
+    }
+
+    routes.push(route)
+    this._rebuildRouteData()
+
+    // Navigate again if the current location now matches the new route
+    if (this._mountEl !== null) {
+      const { pathname, search, hash } = this.history.location
+      const locale = this._getPathLocale(pathname) || this.locale
+      const match = this._match(this._cleanPath(pathname), locale)
+
+      if (match !== null && match.matchedRouteData.some(routeData =>
+        routeData.route === route)) {
+        this.replace({ path: pathname, query: search, hash })
+          .catch(() => {}) // Handled by navigate
+      }
+    }
+
+    return () => {
+      const found = this._findRoute(route)
+
+      if (found !== null) {
+        found.routes.splice(found.routes.indexOf(route), 1)
+        this._rebuildRouteData()
+      }
+    }
+  }
+
+  /**
+   * Remove a route and its children.
+   *
+   * @param {String} name Route name.
+   *
+   * @returns {Boolean} True if route has been removed, false otherwise.
+   */
+  removeRoute (name) {
+    const found = this._findRoute(name)
+
+    if (found === null) {
+      console.error(`Router.removeRoute : No route found with name : ` +
+        `'${name}'`)
+      return false
     }
+
+    found.routes.splice(found.routes.indexOf(found.route), 1)
+    this._rebuildRouteData()
+
+    return true
+  }
+
+  /**
+   * Check if a route exists.
+   *
+   * @param {String} name Route name.
+   *
+   * @returns {Boolean} True if route exists, false otherwise.
+   */
+  hasRoute (name) {
+    return this._findRoute(name) !== null
+  }
+
+  /**
+   * Get routes, with their full path (one per locale if there are supported
+   * locales), aliases excluded.
+   *
+   * @returns {Array} Routes (name, path, locale, parent name and route).
+   */
+  getRoutes () {
+    return this.routeData
+      .filter(({ isAlias }) => !isAlias)
+      .map(({ route, path, locale, parent }) => ({
+        name: route.name || null,
+        path,
+        locale,
+        parent: parent !== null ? parent.route.name || null : null,
+        route
+      }))
+  }
+
+  /**
+   * Before each hook, called after before leave guards of components and
+   * before other guards. Left page instances are destroyed by the router,
+   * overrides must not destroy them.
+   *
+   * @param {Object} from From route.
+   * @param {Object} to To route.
+   * @param {Function} next Next callback, call it with false to cancel
+   *                        navigate or with a path or options to redirect.
+   */
+  beforeEach (from, to, next) {
     next()
   }
 
@@ -376,8 +1512,11 @@ class Router {
    */
   _createHistory () {
     const keyLength = 6
+    const getUserConfirmation = (message, callback) =>
+      this._confirmBlockedTransition(callback)
     const options = {
-      basename: this.basePath
+      basename: this.basePath,
+      getUserConfirmation
     }
 
     if (this.debugMode) {
@@ -393,162 +1532,1813 @@ class Router {
         ...options
       })
     } else if (this.mode === Router.HASH_MODE) { // Hash mode (fallback)
+      if (!hashPrefixes.hasOwnProperty(this.hashType)) {
+        console.error(`Router : Unknown hash type : '${this.hashType}'`)
+        this.hashType = 'slash'
+      }
+
       this.history = createHashHistory({
-        hashType: 'slash', // window.location.hash = #/test
+        hashType: this.hashType, // window.location.hash = #/test
         ...options
       })
-    } else if (this.mode === Router.MEMORY_MODE) { // Memory mode
+    } else if (
+      this.mode === Router.MEMORY_MODE || // Memory mode
+      this.mode === Router.SERVER_MODE // Server mode (no DOM)
+    ) {
       this.history = createMemoryHistory({
-        keyLength
+        keyLength,
+        getUserConfirmation
       })
     } else {
       console.error(`Router : Unknown history browser mode : '${this.mode}'`)
     }
 
-    // Scroll restoration
-    if (supportsScrollRestoration) {
-      window.history.scrollRestoration = this.restoreScroll ? 'auto' : 'manual'
-    }
+    // Scroll restoration, memory history does not use window history
+    if (
+      supportsScrollRestoration() &&
+      this.mode !== Router.MEMORY_MODE &&
+      this.mode !== Router.SERVER_MODE
+    ) {
+      window.history.scrollRestoration =
+        this.restoreScroll && typeof this.scrollBehavior !== 'function'
+          ? 'auto'
+          : 'manual'
+    }
+  }
+
+  /**
+   * Bind listeners.
+   * @private
+   */
+  _bind () {
+    this._handleClick = this._handleClick.bind(this)
+    this._handleMutations = this._handleMutations.bind(this)
+    this._handleListen = this._handleListen.bind(this)
+    this._handleBlock = this._handleBlock.bind(this)
+    this._handleBeforeUnload = this._handleBeforeUnload.bind(this)
+
+    this.unlisten = this.history.listen(this._handleListen)
+  }
+
+  /**
+   * Unbind listeners.
+   * @private
+   */
+  _unbind () {
+    if (typeof this.unlisten === 'function') {
+      this.unlisten()
+      this.unlisten = null
+    }
+
+    if (this._unblockHistory !== null) {
+      this._unblock()
+    }
+
+    if (this._linksEl) {
+      this._linksEl.removeEventListener('click', this._handleClick, false)
+      this._linksEl = null
+    }
+
+    if (this._observer) {
+      this._observer.disconnect()
+      this._observer = null
+    }
+  }
+
+  /**
+   * Handle listen.
+   * @private
+   *
+   * @param {Object} location Location.
+   * @param {String} action Action.
+   */
+  _handleListen (location, action) {
+    action = action.toLowerCase()
+
+    if (action === Router.POP_ACTION) {
+      // Blocked pop restoring the URL, or pop staying on the current entry
+      if (getLocationKey(location) === this._locationKey) {
+        if (this._restoringPop !== null) {
+          this._restoringPop()
+          this._restoringPop = null
+        } else if (this._popResolvers.length > 0) {
+          this._settlePop(this._failNavigate(createNavigationFailure(
+            Router.CANCELLED_FAILURE,
+            'Router.go : No history entry to go to',
+            this.currentRoute,
+            null
+          )))
+        }
+
+        return
+      }
+
+      const {
+        path,
+        query,
+        hash,
+        locale,
+        background
+      } = this._getLocationOptions(location)
+
+      // Save scroll position of the history entry being left
+      this._saveScrollPosition()
+
+      this._settlePop(this.replace({
+        path,
+        query,
+        hash,
+        locale,
+        background,
+        _action: Router.POP_ACTION
+      }))
+
+      return
+    }
+
+    this._dispatchRouteChange()
+  }
+
+  /**
+   * Get navigate options of a history location.
+   * @private
+   *
+   * @param {Object} location History location.
+   *
+   * @returns {Object} Options (path, query, hash, locale and background).
+   */
+  _getLocationOptions (location) {
+    return location.state || {
+      path: location.pathname,
+      query: location.search,
+      hash: location.hash
+    }
+  }
+
+  /**
+   * Get the route of a history location.
+   * @private
+   *
+   * @param {Object} location History location.
+   *
+   * @returns {Object} Route.
+   */
+  _getLocationRoute (location) {
+    const options = this._getLocationOptions(location)
+    const locale = this._getPathLocale(options.path) || options.locale ||
+      this.locale
+    const path = this._cleanPath(options.path)
+    const match = this._match(path, locale) || this._matchNotFound(path)
+    const route = match !== null
+      ? match.route
+      : { name: null, path, params: {}, matched: [] }
+
+    route.query = this._parseQuery(options.query)
+    route.hash = options.hash || null
+    route.locale = locale
+
+    return route
+  }
+
+  /**
+   * Confirm blockers of a navigation.
+   * @private
+   *
+   * @param {Object} to Route navigated to.
+   * @param {Object} from Route navigated from.
+   * @param {String} action Action.
+   *
+   * @returns {Promise} Promise resolved with true if navigation is confirmed,
+   *                    false otherwise.
+   */
+  _confirmBlockers (to, from, action) {
+    return this._blockers.reduce((promise, { fn }) =>
+      promise.then(confirmed => confirmed &&
+        Promise.resolve(fn.call(this, to, from, action)).then(result =>
+          isString(result) ? this.confirm(result) : result !== false)),
+    Promise.resolve(true))
+      .then(confirmed => !!confirmed)
+      .catch(error => {
+        console.error('Router.block :', error)
+        return false
+      })
+  }
+
+  /**
+   * Handle history block, transitions which are not from navigate (pops)
+   * are confirmed with blockers.
+   * @private
+   *
+   * @param {Object} location History location.
+   * @param {String} action Action.
+   *
+   * @returns {String|undefined} Message to confirm the transition, or
+   *                             undefined to allow it.
+   */
+  _handleBlock (location, action) {
+    if (this._isCommitting || this._restoringPop !== null) {
+      return
+    }
+
+    this._blockedTransition = { location, action: action.toLowerCase() }
+
+    return 'Router.block'
+  }
+
+  /**
+   * Confirm the blocked history transition.
+   * @private
+   *
+   * @param {Function} callback History callback, called with true to allow
+   *                            the transition.
+   */
+  _confirmBlockedTransition (callback) {
+    const { location, action } = this._blockedTransition
+    const from = this.currentRoute
+    const to = this._getLocationRoute(location)
+
+    this._blockedTransition = null
+
+    this._confirmBlockers(to, from, action).then(confirmed => {
+      callback(confirmed)
+
+      if (!confirmed && action === Router.POP_ACTION) {
+        this._settlePop(this._failNavigate(createNavigationFailure(
+          Router.CANCELLED_FAILURE,
+          'Router.navigate : Navigation blocked',
+          from,
+          to
+        )))
+      }
+    })
+  }
+
+  /**
+   * Handle before unload, blocks tab closes with blockers using the
+   * beforeUnload option.
+   * @private
+   *
+   * @param {Event} event Before unload event.
+   */
+  _handleBeforeUnload (event) {
+    for (let i = 0, l = this._blockers.length; i < l; i++) {
+      const { fn, beforeUnload } = this._blockers[i]
+
+      if (!beforeUnload) {
+        continue
+      }
+
+      const result = fn.call(this, null, this.currentRoute, 'unload')
+
+      if (result === false || isString(result)) {
+        const message = isString(result) ? result : ''
+
+        event.preventDefault()
+        event.returnValue = message
+
+        return message
+      }
+    }
+  }
+
+  /**
+   * Remove history block and before unload listener.
+   * @private
+   */
+  _unblock () {
+    this._unblockHistory()
+    this._unblockHistory = null
+
+    if (this.mode !== Router.SERVER_MODE) {
+      window.removeEventListener('beforeunload', this._handleBeforeUnload,
+        false)
+    }
+  }
+
+  /**
+   * Get the head of a route.
+   * @private
+   *
+   * @param {Array} matchedRouteData Matched route data.
+   * @param {Object} route Route.
+   *
+   * @returns {Object} Head (title and elements).
+   */
+  _getHead (matchedRouteData, route) {
+    const getValue = value =>
+      typeof value === 'function' ? value.call(this, route) : value
+    const { titleTemplate } = this.head
+    const origin = stripTrailingSlash(this.head.origin !== null
+      ? this.head.origin
+      : (isBrowser() ? window.location.origin : ''))
+    // Links must be absolute, there is no origin on server by default
+    const canonical = this.head.canonical && origin !== ''
+    const hreflang = this.head.hreflang && origin !== ''
+    const meta = {}
+    const elements = []
+    let title = null
+
+    // Head of child routes overrides the one of their parents
+    for (let i = 0, l = matchedRouteData.length; i < l; i++) {
+      const head = getValue(matchedRouteData[i].route.head)
+
+      if (!head) {
+        continue
+      }
+
+      if (typeof head.title !== 'undefined') {
+        title = getValue(head.title)
+      }
+
+      Object.keys(head.meta || {}).forEach(name => {
+        meta[name] = getValue(head.meta[name])
+      })
+    }
+
+    if (title !== null && typeof title !== 'undefined') {
+      title = typeof titleTemplate === 'function'
+        ? titleTemplate(title, route)
+        : titleTemplate.replace('%s', title)
+    }
+
+    Object.keys(meta).forEach(name => {
+      if (meta[name] === null || typeof meta[name] === 'undefined') {
+        return
+      }
+
+      // Open Graph meta tags use a property attribute
+      const attr = /^(og|fb|article|book|profile):/.test(name)
+        ? 'property'
+        : 'name'
+
+      elements.push({
+        tagName: 'meta',
+        selector: `meta[${attr}="${name}"]`,
+        attributes: { [attr]: name, content: String(meta[name]) }
+      })
+    })
+
+    if (canonical) {
+      elements.push({
+        tagName: 'link',
+        selector: 'link[rel="canonical"]',
+        attributes: {
+          rel: 'canonical',
+          href: `${origin}${this.href({ path: route.path, locale: route.locale })}`
+        }
+      })
+    }
+
+    if (hreflang) {
+      for (let i = 0, l = this.locales.length; i < l; i++) {
+        const locale = this.locales[i]
+        const path = this._translatePath(route, locale)
+
+        elements.push({
+          tagName: 'link',
+          selector: `link[rel="alternate"][hreflang="${locale}"]`,
+          attributes: {
+            rel: 'alternate',
+            hreflang: locale,
+            href: `${origin}${this.href({ path, locale })}`
+          }
+        })
+      }
+    }
+
+    return { title, elements }
+  }
+
+  /**
+   * Update document head with the head of a route.
+   * @private
+   *
+   * @param {Array} matchedRouteData Matched route data.
+   * @param {Object} route Route.
+   */
+  _updateHead (matchedRouteData, route) {
+    if (this.head === null) {
+      return
+    }
+
+    // Route is already committed, the page must be mounted anyway
+    try {
+      this._head = this._getHead(matchedRouteData, route)
+    } catch (error) {
+      this._head = null
+
+      console.error(`Router._updateHead : Cannot get head of route ` +
+        `'${route.name}' : ${error.message || error}`)
+      return
+    }
+
+    if (this.mode === Router.SERVER_MODE) {
+      return
+    }
+
+    if (this._head.title !== null && typeof this._head.title !== 'undefined') {
+      document.title = this._head.title
+    }
+
+    updateHeadElements(this._head.elements, this.head.attribute)
+  }
+
+  /**
+   * Render the head of the current route, on server.
+   * @private
+   *
+   * @returns {String} Head HTML.
+   */
+  _renderHead () {
+    if (this._head === null) {
+      return ''
+    }
+
+    const { title, elements } = this._head
+    const titleHtml = title !== null && typeof title !== 'undefined'
+      ? `<title>${escapeHtml(title)}</title>`
+      : ''
+
+    return `${titleHtml}${renderHeadElements(elements, this.head.attribute)}`
+  }
+
+  /**
+   * Save the scroll position of the current history entry.
+   * @private
+   */
+  _saveScrollPosition () {
+    if (this.mode === Router.SERVER_MODE || this._locationKey === null) {
+      return
+    }
+
+    this._scrollPositions[this._locationKey] = {
+      x: window.pageXOffset,
+      y: window.pageYOffset
+    }
+  }
+
+  /**
+   * Scroll to the position given by scrollBehavior.
+   * @private
+   *
+   * @param {Object} to Route navigated to.
+   * @param {Object} from Route navigated from.
+   * @param {Object} savedPosition Saved position of the history entry
+   *                               (pop action only).
+   *
+   * @returns {Promise} Promise resolved once scrolled.
+   */
+  _scroll (to, from, savedPosition) {
+    if (
+      this.mode === Router.SERVER_MODE ||
+      typeof this.scrollBehavior !== 'function'
+    ) {
+      return Promise.resolve()
+    }
+
+    return Promise.resolve(this.scrollBehavior(to, from, savedPosition))
+      .then(position => {
+        if (!position || typeof position !== 'object') {
+          return
+        }
+
+        if (isString(position.selector)) {
+          position = getElementPosition(position.selector, position.offset)
+
+          if (position === null) {
+            return
+          }
+        }
+
+        window.scrollTo(position.x || 0, position.y || 0)
+      })
+      .catch(error => {
+        console.error('Router.scrollBehavior :', error)
+      })
+  }
+
+  /**
+   * Dispatch a route change.
+   * @private
+   */
+  _dispatchRouteChange () {
+    this.routeChanged.dispatch(this.lastRoute, this.currentRoute)
+
+    if (this.debugMode && this.action !== Router.POP_ACTION) {
+      const log = `%cRouter.routeChange (${this.action})`
+      const spaces = generateSpaces(log)
+
+      console.log(log, logStyles, 'Last route :', this.lastRoute)
+      console.log(spaces, 'Current route :', this.currentRoute)
+    }
+
+    // Pop action by default
+    this.action = Router.POP_ACTION
+  }
+
+  /**
+   * Fail a navigation.
+   * @private
+   *
+   * @param {Error} error Navigation failure or error.
+   * @param {Object} [to] Route navigated to.
+   *
+   * @returns {Promise} Promise rejected with the given error.
+   */
+  _failNavigate (error, to = null) {
+    if (!isNavigationFailure(error)) {
+      this.navigationFailed.dispatch(error, this.lastRoute, to)
+
+      console.error(error.message || error)
+    } else {
+      if (error.type === Router.NOT_FOUND_FAILURE) {
+        this.navigationFailed.dispatch(error, error.from, error.to)
+
+        console.error(error.message)
+      } else if (this.debugMode) {
+        console.log('%cRouter.navigate', logStyles, error.message)
+      }
+    }
+
+    return Promise.reject(error)
+  }
+
+  /**
+   * Assert a navigation has not been aborted by a newer one.
+   * @private
+   *
+   * @param {Object} navigation Navigation.
+   *
+   * @throws {Error} Aborted navigation failure.
+   */
+  _assertNavigation (navigation) {
+    if (navigation.id !== this._navigationId) {
+      throw createNavigationFailure(
+        Router.ABORTED_FAILURE,
+        'Router.navigate : Aborted by a newer navigation',
+        navigation.from,
+        navigation.to
+      )
+    }
+  }
+
+  /**
+   * Update keys of the history entries visited since the first route, used
+   * to restore popped entries.
+   * @private
+   *
+   * @param {String} action History action of the committed route.
+   */
+  _updateLocationKeys (action) {
+    const key = getLocationKey(this.history.location)
+    const index = this._locationKeys.indexOf(this._locationKey)
+
+    if (action === Router.PUSH_ACTION) {
+      this._locationKeys = this._locationKeys.slice(0, index + 1).concat(key)
+    } else if (action === Router.REPLACE_ACTION && index !== -1) {
+      this._locationKeys[index] = key
+    } else if (this._locationKeys.indexOf(key) === -1) {
+      this._locationKeys = [key]
+    }
+
+    this._locationKey = key
+  }
+
+  /**
+   * Restore the history entry of the current route, after a pop cancelled
+   * or redirected by guards.
+   * @private
+   *
+   * @returns {Promise} Promise resolved once the entry is restored.
+   */
+  _restorePop () {
+    const from = this._locationKeys.indexOf(
+      getLocationKey(this.history.location))
+    const to = this._locationKeys.indexOf(this._locationKey)
+
+    // Entries visited before the first route are unknown
+    if (from === -1 || to === -1 || from === to) {
+      return Promise.resolve()
+    }
+
+    return new Promise(resolve => {
+      this._restoringPop = resolve
+      this.history.go(to - from)
+    })
+  }
+
+  /**
+   * Assert the router has not been destroyed, transitions stop once it is.
+   * @private
+   *
+   * @throws {Error} Aborted navigation failure.
+   */
+  _assertNotDestroyed () {
+    if (this._isDestroyed) {
+      throw createNavigationFailure(
+        Router.ABORTED_FAILURE,
+        'Router.navigate : Aborted by destroy'
+      )
+    }
+  }
+
+  /**
+   * Wait for the navigation triggered by the next pop action.
+   * @private
+   *
+   * @returns {Promise} Promise settled once the navigation ends.
+   */
+  _waitForPop () {
+    return new Promise((resolve, reject) => {
+      this._popResolvers.push({ resolve, reject })
+    })
+  }
+
+  /**
+   * Settle promises waiting for a pop action with its navigation.
+   * @private
+   *
+   * @param {Promise} promise Navigation promise.
+   */
+  _settlePop (promise) {
+    const resolvers = this._popResolvers
+    this._popResolvers = []
+
+    // Pops of browser buttons have no caller
+    if (resolvers.length === 0) {
+      promise.catch(() => {})
+    }
+
+    for (let i = 0, l = resolvers.length; i < l; i++) {
+      promise.then(resolvers[i].resolve, resolvers[i].reject)
+    }
+  }
+
+  /**
+   * First route.
+   * @private
+   *
+   * @returns {Promise} Promise of the first navigation.
+   */
+  _firstRoute () {
+    // Get actual location object
+    const { pathname, search, hash, state } = this.history.location
+
+    return this.navigate({
+      path: pathname,
+      query: search,
+      hash,
+      // Modal routes are restored on reload only, with no state they are
+      // rendered as pages
+      background: state ? state.background : null,
+      silent: true // Replace state on first route
+    })
+  }
+
+  /**
+   * Parse routes.
+   * @private
+   *
+   * @param {Array} [routes=this.routes] Routes.
+   * @param {Object} [parent=null] Parent route data.
+   * @param {String} [locale=null] Locale of routes, routes are parsed for
+   *                               each supported locale if there are some.
+   */
+  _parseRoutes (routes = this.routes, parent = null, locale = null) {
+    if (parent === null && locale === null && this.locales.length > 0) {
+      for (let i = 0, l = this.locales.length; i < l; i++) {
+        this._parseRoutes(routes, null, this.locales[i])
+      }
+
+      return
+    }
+
+    // Children of an alias are aliases too
+    const isAlias = parent !== null && parent.isAlias
+
+    for (let i = 0, l = routes.length; i < l; i++) {
+      const route = routes[i]
+
+      this._pushRouteData(route, route.path, parent, isAlias, locale)
+
+      // Aliases match the same route with other paths
+      const aliases = route.alias ? [].concat(route.alias) : []
+
+      for (let j = 0, l = aliases.length; j < l; j++) {
+        this._pushRouteData(route, aliases[j], parent, true, locale)
+      }
+    }
+
+    // Catch-all routes have the lowest priority, nested ones first
+    if (parent === null) {
+      const catchAllRouteData = this.routeData
+        .filter(({ isCatchAll }) => isCatchAll)
+        .map((routeData, index) => ({ routeData, index }))
+        .sort((a, b) => (b.routeData.path.length - a.routeData.path.length) ||
+          (a.index - b.index))
+        .map(({ routeData }) => routeData)
+
+      this.routeData = this.routeData
+        .filter(({ isCatchAll }) => !isCatchAll)
+        .concat(catchAllRouteData)
+    }
+  }
+
+  /**
+   * Remove a plugin and call its destroy hook.
+   * @private
+   *
+   * @param {Object} hooks Plugin hooks.
+   */
+  _removePlugin (hooks) {
+    const index = this._plugins.indexOf(hooks)
+
+    if (index === -1) {
+      return
+    }
+
+    this._plugins.splice(index, 1)
+
+    if (typeof hooks.destroy === 'function') {
+      hooks.destroy()
+    }
+  }
+
+  /**
+   * Call a hook of plugins.
+   * @private
+   *
+   * @param {String} hook Hook name.
+   * @param {Object} from From route.
+   * @param {Object} to To route.
+   * @param {Boolean} [logErrors=false] Log errors thrown by hooks instead of
+   *                                    throwing them.
+   *
+   * @returns {Array} Results of hooks.
+   */
+  _callPlugins (hook, from, to, logErrors = false) {
+    return this._plugins
+      .filter(hooks => typeof hooks[hook] === 'function')
+      .map(hooks => {
+        if (!logErrors) {
+          return hooks[hook](from, to)
+        }
+
+        try {
+          return hooks[hook](from, to)
+        } catch (error) {
+          console.error(`Router.use : Error in ${hook} hook : ` +
+            `${error.message || error}`)
+        }
+      })
+  }
+
+  /**
+   * Set route fields added by plugins, from the deepest matched route
+   * defining them.
+   * @private
+   *
+   * @param {Object} route Route.
+   * @param {Array} matchedRouteData Matched route data.
+   */
+  _applyPluginFields (route, matchedRouteData) {
+    for (let i = 0, l = this._plugins.length; i < l; i++) {
+      const fields = this._plugins[i].fields || {}
+
+      Object.keys(fields).forEach(field => {
+        route[field] = fields[field]
+
+        for (let j = matchedRouteData.length - 1; j >= 0; j--) {
+          if (typeof matchedRouteData[j].route[field] !== 'undefined') {
+            route[field] = matchedRouteData[j].route[field]
+            break
+          }
+        }
+      })
+    }
+  }
+
+  /**
+   * Find a route in the routes tree.
+   * @private
+   *
+   * @param {String|Object} name Route name or route.
+   * @param {Array} [routes=this.routes] Routes.
+   *
+   * @returns {Object|null} Found route and routes containing it, or null.
+   */
+  _findRoute (name, routes = this.routes) {
+    for (let i = 0, l = routes.length; i < l; i++) {
+      const route = routes[i]
+
+      if (route === name || (isString(name) && route.name === name)) {
+        return { route, routes }
+      }
+
+      if (Array.isArray(route.children)) {
+        const found = this._findRoute(name, route.children)
+
+        if (found !== null) {
+          return found
+        }
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Rebuild route data from routes, loaded components and cached data of
+   * unchanged routes are kept.
+   * @private
+   */
+  _rebuildRouteData () {
+    const previous = this.routeData
+
+    this.routeData = []
+    this._parseRoutes()
+
+    for (let i = 0, l = this.routeData.length; i < l; i++) {
+      const routeData = this.routeData[i]
+      const old = find(previous, ({ route, path, locale }) =>
+        route === routeData.route &&
+        path === routeData.path &&
+        locale === routeData.locale)
+
+      if (old) {
+        routeData.loadedComponent = old.loadedComponent
+        routeData.dataCache = old.dataCache
+      }
+    }
+  }
+
+  /**
+   * Parse not found route.
+   * @private
+   */
+  _parseNotFound () {
+    this._notFoundRouteData = this.notFound ? {
+      route: this.notFound,
+      path: '*',
+      keys: [],
+      parent: null,
+      isAlias: false,
+      isCatchAll: true,
+      locale: null,
+      paramTypes: {}
+    } : null
+  }
+
+  /**
+   * Push route data and its children.
+   * @private
+   *
+   * @param {Object} route Route.
+   * @param {String|Object} path Route path relative to the parent path, or
+   *                             paths by locale.
+   * @param {Object} parent Parent route data.
+   * @param {Boolean} [isAlias=false] True if path is an alias.
+   * @param {String} [locale=null] Locale.
+   */
+  _pushRouteData (route, path, parent, isAlias = false, locale = null) {
+    // Localized paths
+    if (path && typeof path === 'object') {
+      if (!isString(path[locale])) {
+        console.error(`Router._pushRouteData : Route '${route.name}' has ` +
+          `no path for locale : '${locale}'`)
+        return
+      }
+
+      path = path[locale]
+    }
+
+    const isCatchAll = /^\/?(\*|\(\.\*\))$/.test(path)
+
+    // Path-to-regexp does not support asterisk
+    if (isCatchAll) {
+      path = path.replace(/^(\/?)\*$/, '$1(.*)')
+    }
+
+    const fullPath = parent ? joinPaths(parent.path, path) : path
+    let keys = []
+
+    const routeData = {
+      route,
+      path: fullPath,
+      regexp: pathToRegexp(fullPath, keys),
+      toPath: pathToRegexp.compile(fullPath),
+      keys,
+      parent,
+      isAlias,
+      isCatchAll,
+      locale,
+      paramTypes: this._getParamTypes(route, parent)
+    }
+
+    // Children are pushed first so they take precedence over their parent
+    if (Array.isArray(route.children)) {
+      this._parseRoutes(route.children, routeData, locale)
+    }
+
+    this.routeData.push(routeData)
+  }
+
+  /**
+   * Get param types of a route, including the ones of its parents.
+   * @private
+   *
+   * @param {Object} route Route.
+   * @param {Object} parent Parent route data.
+   *
+   * @returns {Object} Param types by name.
+   */
+  _getParamTypes (route, parent) {
+    const types = parent ? { ...parent.paramTypes } : {}
+    const schemas = route.params || {}
+
+    Object.keys(schemas).forEach(name => {
+      const type = createParamType(schemas[name])
+
+      if (type === null) {
+        console.error(`Router._getParamTypes : Invalid type of param ` +
+          `'${name}' in route '${route.name}'`)
+        return
+      }
+
+      types[name] = type
+    })
+
+    return types
+  }
+
+  /**
+   * Build the path of route data, typed params are serialized.
+   * @private
+   *
+   * @param {Object} routeData Route data.
+   * @param {Object} [params={}] Route parameters.
+   *
+   * @returns {String} Path, throws if a parameter is missing or invalid.
+   */
+  _buildPath ({ toPath, paramTypes }, params = {}) {
+    const serialized = {}
+
+    Object.keys(params).forEach(name => {
+      const type = paramTypes[name]
+      const value = params[name]
+
+      if (!type || typeof value === 'undefined' || value === null) {
+        serialized[name] = value
+        return
+      }
+
+      const str = type.serialize(value)
+
+      if (typeof type.parse(str) === 'undefined') {
+        throw new TypeError(`Expected "${name}" to be a valid param, but ` +
+          `got "${str}"`)
+      }
+
+      serialized[name] = str
+    })
+
+    return toPath(serialized)
+  }
+
+  /**
+   * Get matched route data, from the root route to the given one.
+   * @private
+   *
+   * @param {Object} routeData Route data.
+   *
+   * @returns {Array} Matched route data.
+   */
+  _getMatchedRouteData (routeData) {
+    const matched = []
+
+    while (routeData) {
+      matched.unshift(routeData)
+      routeData = routeData.parent
+    }
+
+    return matched
+  }
+
+  /**
+   * Get the component of a route, either a class or a function returning a
+   * promise of a class (lazy component).
+   * @private
+   *
+   * @param {Object} routeData Route data.
+   *
+   * @returns {Function|undefined} Component.
+   */
+  _getComponent ({ route }) {
+    return isString(route.component)
+      ? this.components[route.component]
+      : route.component
+  }
+
+  /**
+   * Load components of matched routes, lazy components are cached once
+   * resolved.
+   * @private
+   *
+   * @param {Array} matchedRouteData Matched route data.
+   *
+   * @returns {Promise} Promise resolved with components.
+   */
+  _loadComponents (matchedRouteData) {
+    const promises = matchedRouteData.map(routeData => {
+      const component = this._getComponent(routeData)
+
+      if (typeof component !== 'function' || isComponentClass(component)) {
+        return component
+      }
+
+      if (routeData.loadedComponent) {
+        return routeData.loadedComponent
+      }
+
+      if (!routeData.componentPromise) {
+        routeData.componentPromise = Promise.resolve(component())
+          .then(module => {
+            const loaded = module && module.default ? module.default : module
+
+            if (typeof loaded !== 'function') {
+              throw new Error(`Router._loadComponents : Component of route ` +
+                `'${routeData.path}' did not resolve to a class`)
+            }
+
+            routeData.loadedComponent = loaded
+
+            return loaded
+          }, error => {
+            // Allow a new attempt on next navigation
+            routeData.componentPromise = null
+            throw error
+          })
+      }
+
+      return routeData.componentPromise
+    })
+
+    const isLazy = promises.some(promise =>
+      promise && typeof promise.then === 'function')
+
+    return isLazy
+      ? this._trackLoading(Promise.all(promises))
+      : Promise.all(promises)
+  }
+
+  /**
+   * Resolve data of matched routes, merged from the root route to the
+   * deepest one.
+   * @private
+   *
+   * @param {Array} matchedRouteData Matched route data.
+   * @param {Object} route Route.
+   *
+   * @returns {Promise} Promise resolved with data.
+   */
+  _resolveData (matchedRouteData, route) {
+    const state = this._hydrationState
+
+    // Data resolved on server is used on first route
+    if (state !== null) {
+      this._hydrationState = null
+
+      if (
+        state.route &&
+        state.route.path === route.path &&
+        isEqual(state.route.query, route.query)
+      ) {
+        return Promise.resolve(state.data || {})
+      }
+    }
+
+    let isResolving = false
+
+    const promises = matchedRouteData.map((routeData, depth) => {
+      const { resolve, cache } = routeData.route
+
+      if (!resolve) {
+        return {}
+      }
+
+      // Cached data is keyed on params and query
+      const key = JSON.stringify([route.matched[depth].params, route.query])
+
+      if (cache && routeData.dataCache && routeData.dataCache[key]) {
+        return routeData.dataCache[key]
+      }
+
+      const keys = Object.keys(resolve)
+      const promise = Promise.all(keys.map(name =>
+        typeof resolve[name] === 'function'
+          ? resolve[name].call(this, route)
+          : resolve[name]
+      )).then(values => {
+        const data = {}
+
+        for (let i = 0, l = keys.length; i < l; i++) {
+          data[keys[i]] = values[i]
+        }
+
+        return data
+      })
+
+      if (cache) {
+        routeData.dataCache = routeData.dataCache || {}
+        routeData.dataCache[key] = promise
+
+        // Allow a new attempt on next navigation
+        promise.catch(() => {
+          delete routeData.dataCache[key]
+        })
+      }
+
+      isResolving = true
+
+      return promise
+    })
+
+    const promise = Promise.all(promises).then(results =>
+      results.reduce((data, result) => ({ ...data, ...result }), {}))
+
+    return isResolving ? this._trackLoading(promise) : promise
+  }
+
+  /**
+   * Track loading state while a promise is pending.
+   * @private
+   *
+   * @param {Promise} promise Promise.
+   *
+   * @returns {Promise} Given promise.
+   */
+  _trackLoading (promise) {
+    const done = () => {
+      this._loadingCount--
+
+      if (this._loadingCount === 0) {
+        this._setLoading(false)
+      }
+    }
+
+    this._loadingCount++
+    this._setLoading(true)
+
+    return promise.then(value => {
+      done()
+      return value
+    }, error => {
+      done()
+      throw error
+    })
+  }
+
+  /**
+   * Set loading state.
+   * @private
+   *
+   * @param {Boolean} isLoading True if components or data are loading,
+   *                            false otherwise.
+   */
+  _setLoading (isLoading) {
+    if (this.isLoading !== isLoading) {
+      this.isLoading = isLoading
+      this.loadingChanged.dispatch(isLoading)
+    }
+  }
+
+  /**
+   * Get the target of a route redirect.
+   * @private
+   *
+   * @param {String|Object|Function} redirect Route redirect.
+   * @param {Object} route Matched route.
+   *
+   * @returns {Object|null} Navigate options or null if the target is
+   *                        invalid.
+   */
+  _getRedirectTarget (redirect, route) {
+    const target = typeof redirect === 'function'
+      ? redirect.call(this, route)
+      : redirect
+    const { query, hash } = route
+
+    if (isString(target)) {
+      try {
+        return {
+          path: pathToRegexp.compile(target)(route.params),
+          query,
+          hash
+        }
+      } catch (error) {
+        console.error(`Router._getRedirectTarget : Cannot build redirect ` +
+          `path '${target}' : ${error.message}`)
+        return null
+      }
+    }
+
+    if (target && typeof target === 'object') {
+      return {
+        params: target.name ? route.params : null,
+        query,
+        hash,
+        ...target
+      }
+    }
+
+    console.error(`Router._getRedirectTarget : Redirect of route ` +
+      `'${route.path}' must be a path or options`)
+    return null
+  }
+
+  /**
+   * Redirect a navigation.
+   * @private
+   *
+   * @param {String|Object} target Path or options to redirect to.
+   * @param {Object} from Route redirected from.
+   * @param {Boolean} silent Silent (replace instead of push).
+   * @param {Array} redirects Paths already redirected from.
+   * @param {Boolean} [confirmed=false] True if blockers already confirmed
+   *                                    the navigation.
+   *
+   * @returns {Promise} Promise of the redirect navigation.
+   */
+  _redirect (target, from, silent, redirects, confirmed = false) {
+    const options = isString(target) ? { path: target } : target
+
+    return this.navigate({
+      silent,
+      locale: from.locale,
+      ...options,
+      _redirects: redirects.concat(from.path),
+      _confirmed: confirmed
+    })
+  }
+
+  /**
+   * Get the depth until which two routes share the same matched routes.
+   * @private
+   *
+   * @param {Object} from From route.
+   * @param {Object} to To route.
+   *
+   * @returns {Number} Shared depth.
+   */
+  _getSharedDepth (from, to) {
+    if (!from || !from.matched || !to.matched) {
+      return 0
+    }
+
+    let depth = 0
+
+    while (
+      depth < from.matched.length &&
+      depth < to.matched.length &&
+      from.matched[depth].path === to.matched[depth].path &&
+      JSON.stringify(from.matched[depth].params) ===
+        JSON.stringify(to.matched[depth].params)
+    ) {
+      depth++
+    }
+
+    return depth
+  }
+
+  /**
+   * Get the depth until which instances can be reused, which includes
+   * instances of routes whose params only changed and having a before
+   * update guard.
+   * @private
+   *
+   * @param {Object} from From route.
+   * @param {Object} to To route.
+   * @param {Number} sharedDepth Shared depth.
+   *
+   * @returns {Number} Reused depth.
+   */
+  _getReusedDepth (from, to, sharedDepth) {
+    let depth = sharedDepth
+
+    if (!from || !from.matched) {
+      return depth
+    }
+
+    while (
+      depth < from.matched.length &&
+      depth < to.matched.length &&
+      from.matched[depth].path === to.matched[depth].path &&
+      this.pageInstances[depth] &&
+      typeof this.pageInstances[depth].beforeUpdate === 'function'
+    ) {
+      depth++
+    }
+
+    return depth
+  }
+
+  /**
+   * Get guards in their calling order : before leave of left components
+   * (deepest first), before each, before update of updated components and
+   * before enter of entered routes.
+   * @private
+   *
+   * @param {Array} matchedRouteData Matched route data.
+   * @param {Number} sharedDepth Shared depth.
+   * @param {Number} reusedDepth Reused depth.
+   * @param {Array} leaving Left instances, deepest first.
+   *
+   * @returns {Array} Guards.
+   */
+  _getGuards (matchedRouteData, sharedDepth, reusedDepth, leaving) {
+    const guards = []
+
+    for (let i = 0, l = leaving.length; i < l; i++) {
+      const instance = leaving[i]
+
+      if (instance && typeof instance.beforeLeave === 'function') {
+        guards.push({ guard: instance.beforeLeave, context: instance })
+      }
+    }
+
+    if (typeof this.beforeEach === 'function') {
+      guards.push({
+        guard: (from, to, next) => {
+          const result = this.beforeEach(from, to, next)
+          this.beforeEachChanged.dispatch(from, to, next)
+
+          return result
+        },
+        context: this
+      })
+    }
+
+    for (let i = 0, l = this._plugins.length; i < l; i++) {
+      if (typeof this._plugins[i].guard === 'function') {
+        guards.push({ guard: this._plugins[i].guard, context: this._plugins[i] })
+      }
+    }
+
+    for (let i = sharedDepth; i < reusedDepth; i++) {
+      const instance = this.pageInstances[i]
+      guards.push({ guard: instance.beforeUpdate, context: instance })
+    }
+
+    for (let i = reusedDepth, l = matchedRouteData.length; i < l; i++) {
+      const { route } = matchedRouteData[i]
+
+      if (typeof route.beforeEnter === 'function') {
+        guards.push({ guard: route.beforeEnter, context: this })
+      }
+    }
+
+    return guards
+  }
+
+  /**
+   * Run guards one after the other, until one cancels or redirects.
+   * @private
+   *
+   * @param {Array} guards Guards.
+   * @param {Object} from From route.
+   * @param {Object} to To route.
+   * @param {Object} navigation Navigation.
+   *
+   * @returns {Promise} Promise resolved with true to continue, false to
+   *                    cancel or a redirect path or options.
+   */
+  _runGuards (guards, from, to, navigation) {
+    return guards.reduce((promise, { guard, context }) => promise
+      .then(result => {
+        if (result !== true) {
+          return result
+        }
+
+        this._assertNavigation(navigation)
+
+        // Guards can either call next or return a value (or a promise)
+        return new Promise((resolve, reject) => {
+          const value = guard.call(context, from, to, resolve)
+
+          if (typeof value !== 'undefined') {
+            Promise.resolve(value).then(resolve, reject)
+          }
+        }).then(value => {
+          if (typeof value === 'undefined') {
+            return true
+          }
+
+          // Path or options to redirect
+          if (isString(value) || (value && typeof value === 'object')) {
+            return value
+          }
+
+          return !!value
+        })
+      }), Promise.resolve(true))
+  }
+
+  /**
+   * Get the transition of a navigation, from the deepest matched route
+   * defining one or from the router.
+   * @private
+   *
+   * @param {Array} matchedRouteData Matched route data.
+   * @param {Object} navigation Navigation.
+   *
+   * @returns {Object} Transition (mode, from, to, action and any property
+   *                   returned by the transition option).
+   */
+  _getTransition (matchedRouteData, { from, to, action }) {
+    let transition = this.transition
+
+    for (let i = matchedRouteData.length - 1; i >= 0; i--) {
+      const routeTransition = matchedRouteData[i].route.transition
+
+      if (typeof routeTransition !== 'undefined' && routeTransition !== null) {
+        transition = routeTransition
+        break
+      }
+    }
+
+    if (typeof transition === 'function') {
+      transition = transition.call(this, from, to, action)
+    }
+
+    if (isString(transition)) {
+      transition = { mode: transition }
+    }
+
+    return {
+      mode: Router.OUT_IN_TRANSITION,
+      ...transition,
+      from,
+      to,
+      action
+    }
+  }
+
+  /**
+   * Mount instances, each one into the view element of its parent, after
+   * the previous transition ends.
+   * @private
+   *
+   * @param {Array} instances Instances, one for each matched route.
+   * @param {Number} reusedDepth Depth until which instances are already
+   *                             mounted.
+   * @param {Object} transition Transition.
+   * @param {Array} [keys=[]] Keep alive keys of instances, null for
+   *                          instances which are not kept alive.
+   *
+   * @returns {Promise} Promise resolved once the transition ends.
+   */
+  _mountInstances (instances, reusedDepth, transition, keys = []) {
+    const lastInstances = this.pageInstances
+    const lastKeys = this._pageKeys
+
+    // Left instances, deepest first, the modal is closed
+    const leaving = [this.modalInstance]
+      .concat(lastInstances.slice(reusedDepth).reverse())
+      .filter(instance => instance)
+    const entering = instances.slice(reusedDepth)
+      .filter(instance => instance)
+    const activated = entering.filter(instance =>
+      this._removeKeptAlive(instance))
+    const isPreRendered = this.preRendered && this.isFirstRoute
+
+    let isLeft = false
+
+    const leave = () => {
+      this._assertNotDestroyed()
+      return this._callInstances(leaving, '$leave', transition)
+    }
+    const destroy = () => {
+      isLeft = true
+
+      leaving.forEach(instance => {
+        const key = lastKeys[lastInstances.indexOf(instance)] || null
+
+        if (key !== null && instance.$el && !this._isDestroyed) {
+          this._keepAlive(instance, key)
+        } else {
+          instance.$destroy()
+        }
+      })
+    }
+    const enter = () => {
+      this._assertNotDestroyed()
+      return this._callInstances(entering, '$enter', transition)
+    }
+    const activate = () => this._callInstances(activated, '$activated')
+    const mount = () => {
+      this._assertNotDestroyed()
+      this._attachInstances(instances, reusedDepth, isPreRendered, activated)
+      return activate()
+    }
+
+    this.pageInstances = instances
+    this.pageInstance = find(instances, instance => instance !== null) || null
+    this.modalInstance = null
+    this._pageKeys = keys
+
+    // Instances are rendered to string on server
+    if (this.mode === Router.SERVER_MODE) {
+      return Promise.resolve()
+    }
+
+    const promise = this._transitionPromise.then(() => {
+      if (transition.mode === Router.IN_OUT_TRANSITION) {
+        return mount().then(enter).then(leave).then(destroy)
+      } else if (transition.mode === Router.SIMULTANEOUS_TRANSITION) {
+        return mount().then(() => Promise.all([enter(), leave()]))
+          .then(destroy)
+      }
+
+      return leave().then(destroy).then(mount).then(enter)
+    }).catch(error => {
+      // Left instances are not page instances anymore, they are not
+      // destroyed with the router
+      if (this._isDestroyed && !isLeft) {
+        destroy()
+      }
+
+      throw error
+    })
+
+    // Next transition waits for this one, even if it failed
+    this._transitionPromise = promise.catch(() => {})
+
+    return promise
+  }
+
+  /**
+   * Mount the instance of a modal route into the modal element, over page
+   * instances which stay mounted, once the previous transition ends.
+   * @private
+   *
+   * @param {Object|null} instance Instance.
+   * @param {Object} transition Transition.
+   *
+   * @returns {Promise} Promise resolved once the transition ends.
+   */
+  _mountModal (instance, transition) {
+    const leaving = this.modalInstance ? [this.modalInstance] : []
+    const entering = instance ? [instance] : []
+
+    this.modalInstance = instance
+
+    if (this.mode === Router.SERVER_MODE) {
+      return Promise.resolve()
+    }
+
+    let isLeft = false
+
+    const promise = this._transitionPromise
+      .then(() => {
+        this._assertNotDestroyed()
+        return this._callInstances(leaving, '$leave', transition)
+      })
+      .then(() => {
+        isLeft = true
+        leaving.forEach(instance => instance.$destroy())
+      })
+      .then(() => {
+        this._assertNotDestroyed()
+
+        const modalEl = document.querySelector(this.modalSelector)
+
+        if (entering.length > 0 && !modalEl) {
+          console.error(`Router._mountModal : No modal element found with ` +
+            `selector : '${this.modalSelector}'`)
+          return
+        }
+
+        entering.forEach(instance => instance.$mount(modalEl, 'append'))
+
+        return this._callInstances(entering, '$enter', transition)
+      })
+      .catch(error => {
+        // The left modal instance is not destroyed with the router
+        if (this._isDestroyed && !isLeft) {
+          leaving.forEach(instance => instance.$destroy())
+        }
+
+        throw error
+      })
+
+    // Next transition waits for this one, even if it failed
+    this._transitionPromise = promise.catch(() => {})
+
+    return promise
+  }
+
+  /**
+   * Check if a location is the one of the page, under modal routes.
+   * @private
+   *
+   * @param {Object} location Location (path and locale).
+   *
+   * @returns {Boolean} True if the location is the page one, false
+   *                    otherwise.
+   */
+  _isPageLocation ({ path, locale }) {
+    const route = this.backgroundRoute || this.currentRoute
+
+    return route !== null && isString(path) &&
+      route.path === this._cleanPath(path) &&
+      route.locale === (this._getPathLocale(path) || locale || this.locale)
+  }
+
+  /**
+   * Get the keep alive key of a matched route instance.
+   * @private
+   *
+   * @param {Object} routeData Route data.
+   * @param {Object} route Route.
+   * @param {Number} depth Depth of the route data.
+   *
+   * @returns {String|null} Key (path and params) or null if the instance is
+   *                        not kept alive.
+   */
+  _getKeepAliveKey ({ route: { name, keepAlive } }, route, depth) {
+    const { enabled, include, exclude } = this.keepAlive
+
+    // Route keepAlive field overrides include and exclude
+    const isKeptAlive = typeof keepAlive === 'boolean'
+      ? keepAlive
+      : enabled &&
+        (include === null || include.indexOf(name) !== -1) &&
+        exclude.indexOf(name) === -1
+
+    if (!isKeptAlive || this.mode === Router.SERVER_MODE) {
+      return null
+    }
+
+    const { path, params } = route.matched[depth]
+
+    return `${path}${JSON.stringify(params)}`
   }
 
   /**
-   * Bind listeners.
+   * Detach an instance and keep it alive, least recently used instances
+   * are destroyed once the maximum is reached.
    * @private
+   *
+   * @param {Object} instance Instance.
+   * @param {String} key Keep alive key.
    */
-  _bind () {
-    this._anchorLink = this._anchorLink.bind(this)
-    this._handleListen = this._handleListen.bind(this)
-    this._handleHashChange = this._handleHashChange.bind(this)
+  _keepAlive (instance, key) {
+    if (instance.$el.parentNode) {
+      instance.$el.parentNode.removeChild(instance.$el)
+    }
 
-    if (this.mode === Router.HASH_MODE) {
-      window.addEventListener('hashchange', this._handleHashChange, false)
-    } else {
-      this.unlisten = this.history.listen(this._handleListen)
+    if (typeof instance.$deactivated === 'function') {
+      instance.$deactivated()
     }
-  }
 
-  /**
-   * Unbind listeners.
-   * @private
-   */
-  _unbind () {
-    if (this.mode === Router.HASH_MODE) {
-      window.removeEventListener('hashchange', this._handleHashChange, false)
-    } else if (typeof this.unlisten === 'function') {
-      this.unlisten()
+    this._keepAliveCache.push({ key, instance })
+
+    while (this._keepAliveCache.length > this.keepAlive.max) {
+      this._keepAliveCache.shift().instance.$destroy()
     }
   }
 
   /**
-   * Handle listen.
+   * Remove an instance from kept alive instances.
    * @private
    *
-   * @param {Object} location Location.
-   * @param {String} action Action.
+   * @param {Object} instance Instance.
+   *
+   * @returns {Boolean} True if instance was kept alive, false otherwise.
    */
-  _handleListen (location, action) {
-    action = action.toLowerCase()
-
-    if (action === Router.POP_ACTION) {
-      const { path, query, hash } = location.state
-
-      this.replace({
-        path,
-        query,
-        hash
-      })
+  _removeKeptAlive (instance) {
+    for (let i = 0, l = this._keepAliveCache.length; i < l; i++) {
+      if (this._keepAliveCache[i].instance === instance) {
+        this._keepAliveCache.splice(i, 1)
+        return true
+      }
     }
 
-    this._dispatchRouteChange()
+    return false
   }
 
   /**
-   * Handle hash change.
+   * Attach instances into the DOM, each one into the view element of its
+   * parent.
    * @private
    *
-   * @param {Object} [urls={}] Urls.
-   * @param {String} [urls.oldURL=window.location.hash] Old url.
-   * @param {String} [urls.newURL=window.location.hash] New url.
+   * @param {Array} instances Instances, one for each matched route.
+   * @param {Number} reusedDepth Depth until which instances are already
+   *                             mounted.
+   * @param {Boolean} isPreRendered True if instances are pre-rendered.
+   * @param {Array} [activated=[]] Instances kept alive, their element is
+   *                               reattached.
    */
-  _handleHashChange ({
-    oldURL = window.location.hash,
-    newURL = window.location.hash
-  } = {}) {
-    // Do not dispatch if hash is not present in url
-    if (getHashPath(oldURL).length === 0) {
-      return
-    }
+  _attachInstances (instances, reusedDepth, isPreRendered, activated = []) {
+    let viewEl = this._mountEl
 
-    if (this.action === Router.POP_ACTION) {
-      const { path, query, hash } = this._match(getHashPath(newURL)).route
+    for (let i = 0, l = instances.length; i < l; i++) {
+      const instance = instances[i]
 
-      this.replace({
-        path,
-        query,
-        hash
-      })
-    }
+      if (!instance) {
+        continue
+      }
 
-    this.lastRoute = this._match(getHashPath(oldURL)).route
-    this.currentRoute = this._match(getHashPath(newURL)).route
+      if (!viewEl) {
+        console.error(`Router._attachInstances : No view element found ` +
+          `with selector : '${this.viewSelector}'`)
+        break
+      }
 
-    this._dispatchRouteChange()
+      if (i >= reusedDepth) {
+        if (activated.indexOf(instance) !== -1) {
+          viewEl.appendChild(instance.$el)
+        } else if (isPreRendered) {
+          instance.$preRenderMount(viewEl.firstElementChild)
+        } else {
+          instance.$mount(viewEl, 'append')
+        }
+      }
+
+      // Children are mounted into the view element of this instance
+      const el = instance.$el ||
+        (isPreRendered ? viewEl.firstElementChild : viewEl.lastElementChild)
+
+      viewEl = el ? el.querySelector(this.viewSelector) : null
+    }
   }
 
   /**
-   * Dispatch a route change.
+   * Render instances to string, each one into the view element of its
+   * parent.
    * @private
+   *
+   * @param {Array} instances Instances, one for each matched route.
+   *
+   * @returns {Promise} Promise resolved with the rendered html.
    */
-  _dispatchRouteChange () {
-    this.routeChanged.dispatch(this.lastRoute, this.currentRoute)
+  _renderInstances (instances) {
+    const viewAttribute = /^\[([\w-]+)\]$/.exec(this.viewSelector)
 
-    if (this.debugMode && this.action !== Router.POP_ACTION) {
-      const log = `%cRouter.routeChange (${this.action})`
-      const spaces = generateSpaces(log)
+    return Promise.all(instances.map(instance => {
+      if (!instance) {
+        return null
+      }
 
-      console.log(log, logStyles, 'Last route :', this.lastRoute)
-      console.log(spaces, 'Current route :', this.currentRoute)
-    }
+      return typeof instance.$renderToString === 'function'
+        ? instance.$renderToString()
+        : instance.template || ''
+    })).then(renders => renders.reduceRight((html, render) => {
+      if (render === null) {
+        return html
+      }
 
-    // Pop action by default
-    this.action = Router.POP_ACTION
+      if (html.length === 0) {
+        return render
+      }
+
+      if (viewAttribute === null) {
+        console.error(`Router._renderInstances : View selector must be an ` +
+          `attribute selector on server : '${this.viewSelector}'`)
+        return render
+      }
+
+      return insertIntoView(render, html, viewAttribute[1])
+    }, ''))
   }
 
   /**
-   * First route.
+   * Serialize a route, without its instances.
    * @private
+   *
+   * @param {Object} route Route.
+   *
+   * @returns {Object} Serializable route.
    */
-  _firstRoute () {
-    // Get actual location object
-    const { pathname, search, hash } = this.history.location
-
-    this.navigate({
-      path: pathname,
-      query: search,
-      hash,
-      silent: true // Replace state on first route
-    })
-
-    // Dispatch hash change on first route
-    if (this.mode === Router.HASH_MODE) {
-      this._handleHashChange()
-    }
+  _serializeRoute ({ name, path, params, query, hash, locale, matched }) {
+    return { name, path, params, query, hash, locale, matched }
   }
 
   /**
-   * Parse routes.
+   * Call a transition method of instances.
    * @private
+   *
+   * @param {Array} instances Instances.
+   * @param {String} method Method name ($leave or $enter).
+   * @param {Object} transition Transition.
+   *
+   * @returns {Promise} Promise resolved once all instances are done.
    */
-  _parseRoutes () {
-    for (let i = 0, l = this.routes.length; i < l; i++) {
-      let keys = []
-
-      this.routeData.push({
-        route: this.routes[i],
-        regexp: pathToRegexp(this.routes[i].path, keys),
-        keys
-      })
-    }
+  _callInstances (instances, method, transition) {
+    return Promise.all(instances.map(instance =>
+      typeof instance[method] === 'function'
+        ? instance[method](transition)
+        : null))
   }
 
   /**
@@ -580,20 +3370,23 @@ class Router {
    * @private
    *
    * @param {String} name Route name.
+   * @param {String} [locale=this.locale] Locale.
    *
-   * @returns {Object|null} Route.
+   * @returns {Object|null} Route data.
    */
-  _matchRouteByName (name) {
+  _matchRouteByName (name, locale = this.locale) {
     if (typeof name === 'undefined' || !isString(name)) {
       console.error(`Router._matchRouteByName : Name argument ` +
         `is required and must be a string`)
       return
     }
 
-    const route = find(this.routes, { name })
+    const routeData = find(this.routeData, routeData =>
+      routeData.route.name === name && !routeData.isAlias &&
+      this._isLocaleRouteData(routeData, locale))
 
-    if (typeof route !== 'undefined') {
-      return route
+    if (typeof routeData !== 'undefined') {
+      return routeData
     }
 
     return null
@@ -604,10 +3397,11 @@ class Router {
    * @private
    *
    * @param {String} path Path.
+   * @param {String} [locale=this.locale] Locale.
    *
    * @returns {Object} Matched route.
    */
-  _match (path) {
+  _match (path, locale = this.locale) {
     if (typeof path === 'undefined' || !isString(path)) {
       console.error(`Router._match : Path argument is required ` +
         `and must be a string`)
@@ -615,37 +3409,39 @@ class Router {
     }
 
     for (let i = 0, l = this.routeData.length; i < l; i++) {
+      if (!this._isLocaleRouteData(this.routeData[i], locale)) {
+        continue
+      }
+
       const result = this.routeData[i].regexp.exec(path)
 
       // If regex match, route is found
       if (result !== null) {
         const rawParams = result.splice(1)
         const params = {}
+        let isValid = true
 
-        // Parse parameters
+        // Parse parameters, typed ones are coerced
         for (let j = 0, l = rawParams.length; j < l; j++) {
-          params[this.routeData[i].keys[j].name] = rawParams[j]
-        }
+          const name = this.routeData[i].keys[j].name
+          const type = this.routeData[i].paramTypes[name]
+          let value = rawParams[j]
 
-        let { query, hash } = this.history.location
-        query = query || null
-        hash = hash || null
+          if (type && typeof value !== 'undefined') {
+            value = type.parse(value)
 
-        const { name, callback } = this.routeData[i].route
-        const componentKey = this.routeData[i].route.component
-        const component = this.components[componentKey]
-        const routeObj = {
-          name,
-          path,
-          params,
-          query,
-          hash
+            if (typeof value === 'undefined') {
+              isValid = false
+              break
+            }
+          }
+
+          params[name] = value
         }
 
-        return {
-          route: routeObj,
-          component,
-          callback
+        // Invalid params, try next routes
+        if (isValid) {
+          return this._createMatch(this.routeData[i], path, params)
         }
       }
     }
@@ -653,6 +3449,85 @@ class Router {
     return null
   }
 
+  /**
+   * Test if route data is available in a locale.
+   * @private
+   *
+   * @param {Object} routeData Route data.
+   * @param {String} locale Locale.
+   *
+   * @returns {Boolean} True if route data has no locale or the given one.
+   */
+  _isLocaleRouteData (routeData, locale) {
+    return routeData.locale === null || routeData.locale === locale
+  }
+
+  /**
+   * Match not found route.
+   * @private
+   *
+   * @param {String} path Unmatched path.
+   *
+   * @returns {Object|null} Matched not found route or null if there is no
+   *                        not found route.
+   */
+  _matchNotFound (path) {
+    if (this._notFoundRouteData === null) {
+      return null
+    }
+
+    return this._createMatch(this._notFoundRouteData, path, {
+      pathMatch: path
+    })
+  }
+
+  /**
+   * Create a match.
+   * @private
+   *
+   * @param {Object} routeData Matched route data.
+   * @param {String} path Path.
+   * @param {Object} params Route parameters.
+   *
+   * @returns {Object} Matched route.
+   */
+  _createMatch (routeData, path, params) {
+    const { name, callback } = routeData.route
+    const matchedRouteData = this._getMatchedRouteData(routeData)
+
+    // Each matched route only holds the parameters of its own path
+    const matched = matchedRouteData.map(({ route, path, keys }) => {
+      const matchedParams = {}
+
+      for (let i = 0, l = keys.length; i < l; i++) {
+        matchedParams[keys[i].name] = params[keys[i].name]
+      }
+
+      return {
+        name: route.name,
+        path,
+        params: matchedParams
+      }
+    })
+
+    const routeObj = {
+      name,
+      path,
+      params,
+      query: {},
+      hash: null,
+      matched,
+      meta: merge({}, ...matchedRouteData.map(({ route }) => route.meta || {})),
+      data: {}
+    }
+
+    return {
+      route: routeObj,
+      matchedRouteData,
+      callback
+    }
+  }
+
   /**
    * Test route equality.
    * @private
@@ -668,7 +3543,10 @@ class Router {
       currentRoute !== null &&
       newRoute !== null &&
       currentRoute.name === newRoute.name &&
-      JSON.stringify(currentRoute.params) === JSON.stringify(newRoute.params)
+      currentRoute.locale === newRoute.locale &&
+      JSON.stringify(currentRoute.params) ===
+        JSON.stringify(newRoute.params) &&
+      (!this.compareQuery || isEqual(currentRoute.query, newRoute.query))
     ) {
       if (this.debugMode) {
         console.log('%cRouter.navigate', logStyles, 'Cancel because same route',
@@ -682,38 +3560,304 @@ class Router {
   }
 
   /**
-   * Parse anchors.
+   * Parse a query.
+   * @private
+   *
+   * @param {Object|String} [query] Query object or string.
+   *
+   * @returns {Object} Parsed query object.
+   */
+  _parseQuery (query) {
+    if (query === null || typeof query === 'undefined') {
+      return {}
+    }
+
+    // Objects are stringified first, so values are the ones parsed from URLs
+    const search = isString(query)
+      ? query.replace(/^\?/, '')
+      : this.stringifyQuery(query)
+
+    return this.parseQuery(search) || {}
+  }
+
+  /**
+   * Stringify a query.
+   * @private
+   *
+   * @param {Object|String} [query] Query object or string.
+   *
+   * @returns {String} Query string with leading '?', or empty string.
+   */
+  _stringifyQuery (query) {
+    const search = this.stringifyQuery(this._parseQuery(query))
+
+    return search ? `?${search}` : ''
+  }
+
+  /**
+   * Handle click, delegated link listener.
+   * @private
+   *
+   * @param {Object} event Event.
+   */
+  _handleClick (event) {
+    // Let the browser handle modified and non primary button clicks
+    if (
+      event.defaultPrevented ||
+      event.button !== 0 ||
+      event.metaKey ||
+      event.ctrlKey ||
+      event.shiftKey ||
+      event.altKey
+    ) {
+      return
+    }
+
+    const anchor = getClosestAnchor(event.target)
+
+    if (
+      anchor === null ||
+      !anchor.hasAttribute('href') ||
+      anchor.hasAttribute('download') ||
+      anchor.hasAttribute(this.ignoreAttribute) ||
+      anchor.getAttribute('rel') === 'external' ||
+      (anchor.getAttribute('target') || '_self') !== '_self' ||
+      typeof anchor.pathname !== 'string' || // SVG anchor
+      !this._isOwnElement(anchor)
+    ) {
+      return
+    }
+
+    const location = this._getLinkLocation(anchor)
+
+    if (location === null) {
+      return
+    }
+
+    // Same document fragment
+    if (
+      this.mode !== Router.HASH_MODE &&
+      anchor.hash &&
+      location.path === window.location.pathname &&
+      anchor.search === window.location.search
+    ) {
+      return
+    }
+
+    event.preventDefault()
+    this.navigate(location)
+      .catch(() => {}) // Handled by navigate
+  }
+
+  /**
+   * Test if an element is handled by this router, and not by a router
+   * mounted inside its links element.
+   * @private
+   *
+   * @param {HTMLElement} el Element.
+   *
+   * @returns {Boolean} True if element is handled by this router, false
+   *                    otherwise.
+   */
+  _isOwnElement (el) {
+    return !mountedRouters.some(router =>
+      router !== this &&
+      router._linksEl !== null &&
+      router._linksEl !== this._linksEl &&
+      this._linksEl.contains(router._linksEl) &&
+      router._linksEl.contains(el))
+  }
+
+  /**
+   * Get the location of a link.
+   * @private
+   *
+   * @param {HTMLElement} anchor Anchor.
+   *
+   * @returns {Object|null} Location (path, query and hash) or null if the
+   *                        link is external or outside base path.
+   */
+  _getLinkLocation (anchor) {
+    // External origin
+    if (
+      anchor.protocol !== window.location.protocol ||
+      anchor.host !== window.location.host
+    ) {
+      return null
+    }
+
+    let location = {
+      path: addLeadingSlash(anchor.pathname),
+      query: anchor.search,
+      hash: anchor.hash || null
+    }
+
+    // Hash links (#/path?query, #path?query or #!/path?query)
+    if (
+      this.mode === Router.HASH_MODE &&
+      anchor.hash.length > 1 &&
+      startsWith(anchor.hash, hashPrefixes[this.hashType])
+    ) {
+      const { pathname, search, hash } = parsePath(getHashPath(anchor.href,
+        this.hashType))
+
+      location = { path: pathname, query: search, hash: hash || null }
+    }
+
+    // Outside base path
+    if (!hasBasePath(location.path, this.basePath)) {
+      return null
+    }
+
+    return location
+  }
+
+  /**
+   * Update active state of links.
+   * @private
+   *
+   * @param {HTMLElement} [el=this._linksEl] Element containing links.
+   */
+  _updateActiveLinks (el = this._linksEl) {
+    if (!el || (!this.activeClass && !this.exactActiveClass)) {
+      return
+    }
+
+    const anchors = [].slice.call(el.querySelectorAll('a[href]'))
+
+    if (getClosestAnchor(el) === el) {
+      anchors.push(el)
+    }
+
+    for (let i = 0, l = anchors.length; i < l; i++) {
+      const anchor = anchors[i]
+
+      if (typeof anchor.pathname !== 'string' || !this._isOwnElement(anchor)) {
+        continue // SVG anchor or link of another router
+      }
+
+      const location = this._getLinkLocation(anchor)
+      const match = location !== null
+        ? this._match(this._cleanPath(location.path),
+          this._getPathLocale(location.path) || this.locale)
+        : null
+      const { isActive, isExactActive } = this._getActiveState(match)
+
+      toggleClass(anchor, this.activeClass, isActive)
+      toggleClass(anchor, this.exactActiveClass, isExactActive)
+
+      if (isExactActive) {
+        anchor.setAttribute('aria-current', 'page')
+      } else if (anchor.getAttribute('aria-current') === 'page') {
+        anchor.removeAttribute('aria-current')
+      }
+    }
+  }
+
+  /**
+   * Get active state of a matched route, compared to the current route.
+   * Route is active if it is one of the matched routes of the current route
+   * (with the same params) or if its path segments start the current path,
+   * and exact active if it is the deepest matched route.
    * @private
+   *
+   * @param {Object|null} match Matched route.
+   *
+   * @returns {Object} Active state (isActive and isExactActive).
    */
-  _parseAnchors () {
-    const anchorEls = document.getElementsByTagName('a')
+  _getActiveState (match) {
+    const current = this.currentRoute
+    const state = { isActive: false, isExactActive: false }
+
+    if (!match || current === null || !current.matched) {
+      return state
+    }
+
+    const { matched } = match.route
+    const target = matched[matched.length - 1]
 
-    for (let i = 0, l = anchorEls.length; i < l; i++) {
-      const anchor = anchorEls[i]
+    // Flat routes, /blog is active on /blog/:slug
+    state.isActive = hasBasePath(current.path, match.route.path)
 
-      // Get only anchor with rel attribute = internal
+    for (let i = 0, l = current.matched.length; i < l; i++) {
       if (
-        typeof anchor.getAttribute === 'function' &&
-        anchor.getAttribute('rel') === 'internal'
+        current.matched[i].path === target.path &&
+        isEqual(current.matched[i].params, target.params)
       ) {
-        anchor.removeEventListener('click', this._anchorLink, false)
-        anchor.addEventListener('click', this._anchorLink, false)
+        state.isActive = true
+        state.isExactActive = i === l - 1
       }
     }
+
+    return state
   }
 
   /**
-   * Anchor link listener.
+   * Handle mutations, update active state of added links.
    * @private
    *
-   * @param {Object} event Event.
+   * @param {Array} mutations Mutations.
    */
-  _anchorLink (event) {
-    event.preventDefault()
+  _handleMutations (mutations) {
+    for (let i = 0, l = mutations.length; i < l; i++) {
+      const { addedNodes } = mutations[i]
+
+      for (let j = 0, m = addedNodes.length; j < m; j++) {
+        if (addedNodes[j].nodeType === 1) {
+          this._updateActiveLinks(addedNodes[j])
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the locale of a path, from its first segment (after base path).
+   * @private
+   *
+   * @param {String} path Path.
+   *
+   * @returns {String|null} Supported locale or null if there is none.
+   */
+  _getPathLocale (path) {
+    const locales = this.locales.length > 0
+      ? this.locales
+      : (this.locale ? [this.locale] : [])
+
+    if (hasBasePath(path, this.basePath)) {
+      path = path.slice(this.basePath.length)
+    }
+
+    return find(locales, locale => path === `/${locale}` ||
+      startsWith(path, `/${locale}/`)) || null
+  }
+
+  /**
+   * Translate the path of a route in a locale.
+   * @private
+   *
+   * @param {Object} route Route.
+   * @param {String} locale Locale.
+   *
+   * @returns {String} Translated path, or route path if it cannot be
+   *                   translated.
+   */
+  _translatePath (route, locale) {
+    const leaf = route.matched[route.matched.length - 1]
+    const current = find(this.routeData, routeData =>
+      routeData.path === leaf.path &&
+      this._isLocaleRouteData(routeData, route.locale))
+    const target = current && find(this.routeData, routeData =>
+      routeData.route === current.route && !routeData.isAlias &&
+      this._isLocaleRouteData(routeData, locale))
+
+    if (!target) {
+      return route.path
+    }
 
-    const path = event.currentTarget.getAttribute('href')
-    if (path) {
-      this.navigate(addLeadingSlash(path))
+    try {
+      return this._buildPath(target, route.params)
+    } catch (error) {
+      return route.path
     }
   }
 
@@ -733,18 +3877,16 @@ class Router {
     }
 
     let cleanedPath = path
+    const locale = this._getPathLocale(path)
 
     // Remove base path
-    if (startsWith(cleanedPath, this.basePath)) {
+    if (hasBasePath(cleanedPath, this.basePath)) {
       cleanedPath = cleanedPath.slice(this.basePath.length)
     }
 
     // Remove locale
-    if (
-      cleanedPath.indexOf(addLeadingSlash(this.locale)) === 0 &&
-      this.locale.length !== 0
-    ) {
-      cleanedPath = cleanedPath.substr(this.locale.length + 1)
+    if (locale !== null) {
+      cleanedPath = cleanedPath.substr(locale.length + 1) || '/'
     }
 
     // Remove trailing slash
@@ -9,6 +9,18 @@
  */
 export const startsWith = (str, prefix) => str.indexOf(prefix) === 0
 
+/**
+ * Has base path.
+ *
+ * @param {String} path Path.
+ * @param {String} basePath Base path, without trailing slash.
+ *
+ * @returns {Boolean} True if given path is the base path or one of its
+ *                    sub-paths, false otherwise.
+ */
+export const hasBasePath = (path, basePath) =>
+  !basePath || path === basePath || startsWith(path, `${basePath}/`)
+
 /**
  * Ends with.
  *
@@ -59,6 +71,24 @@ export const stripTrailingSlash = str => {
   return str
 }
 
+/**
+ * Join a child path to its parent path.
+ *
+ * @param {String} parentPath Parent path.
+ * @param {String} path Child path, absolute child paths are kept as is.
+ *
+ * @returns {String} Joined path.
+ */
+export const joinPaths = (parentPath, path) => {
+  if (startsWith(path, '/')) {
+    return path
+  }
+
+  const joined = `${stripTrailingSlash(parentPath)}/${path}`
+
+  return joined === '/' ? joined : stripTrailingSlash(joined)
+}
+
 /**
  * Strip slashes.
  *
@@ -79,16 +109,266 @@ export const stripSlashes = str =>
 export const isString = val =>
   (typeof val === 'string' || val instanceof String)
 
+/**
+ * Is component class.
+ *
+ * @param {*} val Value.
+ *
+ * @returns {Boolean} True if it is a component class (which has a $mount
+ *                    method), false otherwise.
+ */
+export const isComponentClass = val =>
+  typeof val === 'function' &&
+  !!val.prototype &&
+  typeof val.prototype.$mount === 'function'
+
+/**
+ * Create a navigation failure.
+ *
+ * @param {String} type Failure type.
+ * @param {String} message Message.
+ * @param {Object} [from=null] Route navigated from.
+ * @param {Object} [to=null] Route navigated to.
+ *
+ * @returns {Error} Navigation failure.
+ */
+export const createNavigationFailure = (type, message, from = null,
+  to = null) => {
+  const failure = new Error(message)
+
+  failure.name = 'NavigationFailure'
+  failure.type = type
+  failure.from = from
+  failure.to = to
+
+  return failure
+}
+
+/**
+ * Is navigation failure.
+ *
+ * @param {*} error Error.
+ * @param {String} [type] Failure type.
+ *
+ * @returns {Boolean} True if error is a navigation failure (of the given
+ *                    type), false otherwise.
+ */
+export const isNavigationFailure = (error, type) =>
+  !!error &&
+  error.name === 'NavigationFailure' &&
+  (typeof type === 'undefined' || error.type === type)
+
+/**
+ * Built-in param types.
+ */
+const paramTypes = {
+  int: {
+    pattern: /^-?\d+$/,
+    parse: value => parseInt(value, 10)
+  },
+  float: {
+    pattern: /^-?(\d+\.?\d*|\.\d+)$/,
+    parse: value => parseFloat(value)
+  },
+  uuid: {
+    pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+  }
+}
+
+/**
+ * Create a param type from its schema.
+ *
+ * @param {String|Array|RegExp|Function|Object} schema Built-in type name
+ *        ('int', 'float' or 'uuid'), enum values, regexp, parser or object
+ *        with type, pattern, enum, parse and serialize properties.
+ *
+ * @returns {Object|null} Param type, with a parse method returning undefined
+ *                        if the value is invalid and a serialize method, or
+ *                        null if schema is invalid.
+ */
+export const createParamType = schema => {
+  if (isString(schema)) {
+    schema = { type: schema }
+  } else if (Array.isArray(schema)) {
+    schema = { enum: schema }
+  } else if (schema instanceof RegExp) {
+    schema = { pattern: schema }
+  } else if (typeof schema === 'function') {
+    schema = { parse: schema }
+  }
+
+  if (!schema || typeof schema !== 'object') {
+    return null
+  }
+
+  if (typeof schema.type !== 'undefined') {
+    if (!paramTypes.hasOwnProperty(schema.type)) {
+      return null
+    }
+
+    schema = { ...paramTypes[schema.type], ...schema }
+  }
+
+  const {
+    pattern = null,
+    parse = value => value,
+    serialize = value => String(value)
+  } = schema
+  const values = Array.isArray(schema.enum) ? schema.enum.map(String) : null
+
+  return {
+    parse: str => {
+      if (
+        (pattern !== null && !pattern.test(str)) ||
+        (values !== null && values.indexOf(str) === -1)
+      ) {
+        return
+      }
+
+      if (values !== null) {
+        return schema.enum[values.indexOf(str)]
+      }
+
+      try {
+        const value = parse(str)
+
+        return typeof value === 'number' && isNaN(value) ? undefined : value
+      } catch (error) {}
+    },
+    serialize
+  }
+}
+
+/**
+ * Decode a query string component.
+ *
+ * @param {String} str String.
+ *
+ * @returns {String} Decoded string, or the string itself if it is malformed.
+ */
+const decodeQueryComponent = str => {
+  try {
+    return decodeURIComponent(str.replace(/\+/g, ' '))
+  } catch (error) {
+    return str
+  }
+}
+
+/**
+ * Parse a query string.
+ *
+ * @param {String} str Query string, with or without leading '?'.
+ * @param {Object} [options={}] Options.
+ * @param {String} [options.arrayFormat='repeat'] Array format
+ *                                               ('repeat', 'bracket' or
+ *                                               'comma').
+ *
+ * @returns {Object} Query object, repeated keys are parsed as arrays.
+ */
+export const parseQueryString = (str, { arrayFormat = 'repeat' } = {}) => {
+  const query = {}
+  const pairs = (str || '').replace(/^\?/, '').split('&')
+
+  for (let i = 0, l = pairs.length; i < l; i++) {
+    if (pairs[i].length === 0) {
+      continue
+    }
+
+    const index = pairs[i].indexOf('=')
+    let key = decodeQueryComponent(index === -1
+      ? pairs[i]
+      : pairs[i].slice(0, index))
+    const rawValue = index === -1 ? null : pairs[i].slice(index + 1)
+    let value = rawValue === null ? null : decodeQueryComponent(rawValue)
+    let isArray = false
+
+    if (arrayFormat === 'bracket' && endsWith(key, '[]')) {
+      key = key.slice(0, -2)
+      isArray = true
+    } else if (
+      arrayFormat === 'comma' &&
+      rawValue !== null &&
+      rawValue.indexOf(',') !== -1
+    ) {
+      value = rawValue.split(',').map(decodeQueryComponent)
+      isArray = true
+    }
+
+    if (Object.prototype.hasOwnProperty.call(query, key)) {
+      query[key] = [].concat(query[key], value)
+    } else {
+      query[key] = isArray ? [].concat(value) : value
+    }
+  }
+
+  return query
+}
+
+/**
+ * Stringify a query object.
+ *
+ * @param {Object} query Query object.
+ * @param {Object} [options={}] Options.
+ * @param {String} [options.arrayFormat='repeat'] Array format
+ *                                               ('repeat', 'bracket' or
+ *                                               'comma').
+ *
+ * @returns {String} Query string, without leading '?'.
+ */
+export const stringifyQueryString = (query, { arrayFormat = 'repeat' } = {}) => {
+  const pairs = []
+  const keys = Object.keys(query || {})
+
+  for (let i = 0, l = keys.length; i < l; i++) {
+    const key = encodeURIComponent(keys[i])
+    const value = query[keys[i]]
+
+    if (typeof value === 'undefined') {
+      continue
+    }
+
+    if (value === null) {
+      pairs.push(key)
+    } else if (Array.isArray(value)) {
+      const values = value
+        .filter(item => item !== null && typeof item !== 'undefined')
+        .map(item => encodeURIComponent(item))
+
+      if (arrayFormat === 'comma') {
+        pairs.push(`${key}=${values.join(',')}`)
+      } else {
+        const arrayKey = arrayFormat === 'bracket' ? `${key}[]` : key
+        values.forEach(item => pairs.push(`${arrayKey}=${item}`))
+      }
+    } else {
+      pairs.push(`${key}=${encodeURIComponent(value)}`)
+    }
+  }
+
+  return pairs.join('&')
+}
+
 /**
  * Get hash from a path.
  *
  * @param {String} href Href.
+ * @param {String} [hashType] Hash type ('slash', 'noslash' or 'hashbang'),
+ *                            the path is decoded with a leading slash if
+ *                            given.
  *
  * @returns {String} Hash extracted.
  */
-export const getHashPath = (href = window.location.href) => {
+export const getHashPath = (href = window.location.href, hashType) => {
   const hashIndex = href.indexOf('#')
-  return hashIndex === -1 ? '' : href.substring(hashIndex + 1)
+  const hash = hashIndex === -1 ? '' : href.substring(hashIndex + 1)
+
+  if (hashType === 'hashbang') {
+    return addLeadingSlash(hash.replace(/^!/, ''))
+  } else if (hashType === 'noslash' || hashType === 'slash') {
+    return addLeadingSlash(hash)
+  }
+
+  return hash
 }
 
 /**
@@ -101,6 +381,180 @@ export const getHashPath = (href = window.location.href) => {
 export const generateSpaces = str =>
   new Array(str.length).fill(' ').join('')
 
+/**
+ * Check browser environment.
+ *
+ * @returns {Boolean} True if window and document exist, false otherwise.
+ */
+export const isBrowser = () =>
+  typeof window !== 'undefined' && typeof document !== 'undefined'
+
+/**
+ * Insert html into the element having the given attribute.
+ *
+ * @param {String} html Html containing the view element.
+ * @param {String} childHtml Html to insert.
+ * @param {String} attribute View element attribute.
+ *
+ * @returns {String} Html with the inserted html, or unchanged if no view
+ *                   element is found.
+ */
+export const insertIntoView = (html, childHtml, attribute) => {
+  const regexp = new RegExp(`<[a-zA-Z][^>]*\\s${attribute}(?=[\\s=/>])[^>]*>`)
+  const result = regexp.exec(html)
+
+  if (result === null) {
+    return html
+  }
+
+  const index = result.index + result[0].length
+
+  return `${html.slice(0, index)}${childHtml}${html.slice(index)}`
+}
+
+/**
+ * Get the closest anchor of an element, including itself.
+ *
+ * @param {Object} el Element.
+ *
+ * @returns {HTMLElement|null} Anchor or null if there is none.
+ */
+export const getClosestAnchor = el => {
+  while (el && el.nodeType === 1) {
+    if (el.nodeName.toLowerCase() === 'a') {
+      return el
+    }
+
+    el = el.parentNode
+  }
+
+  return null
+}
+
+/**
+ * Toggle a class of an element.
+ *
+ * @param {HTMLElement} el Element.
+ * @param {String} className Class name, nothing is done if empty.
+ * @param {Boolean} force True to add the class, false to remove it.
+ */
+export const toggleClass = (el, className, force) => {
+  if (className && el.classList.contains(className) !== force) {
+    el.classList.toggle(className)
+  }
+}
+
+/**
+ * Get the key of a history location, hash history has no keys so its path
+ * is used instead.
+ *
+ * @param {Object} location History location.
+ *
+ * @returns {String} Location key.
+ */
+export const getLocationKey = location =>
+  location.key || `${location.pathname}${location.search}${location.hash}`
+
+/**
+ * Get the scroll position of an element.
+ *
+ * @param {String} selector Element selector, '#id' selectors are looked up
+ *                          by id so any id can be used.
+ * @param {Object} [offset={}] Offset subtracted from the position.
+ *
+ * @returns {Object|null} Position { x, y } or null if element is not found.
+ */
+export const getElementPosition = (selector, offset = {}) => {
+  let el = null
+
+  try {
+    el = selector.charAt(0) === '#'
+      ? document.getElementById(decodeURIComponent(selector.slice(1)))
+      : document.querySelector(selector)
+  } catch (error) {
+    return null
+  }
+
+  if (el === null) {
+    return null
+  }
+
+  const rect = el.getBoundingClientRect()
+
+  return {
+    x: rect.left + window.pageXOffset - (offset.x || 0),
+    y: rect.top + window.pageYOffset - (offset.y || 0)
+  }
+}
+
+/**
+ * Escape HTML special characters.
+ *
+ * @param {String} str String.
+ *
+ * @returns {String} Escaped string.
+ */
+export const escapeHtml = str =>
+  String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+/**
+ * Update head elements, existing elements matching their selector are
+ * updated and previously managed elements which are no longer given are
+ * removed.
+ *
+ * @param {Array} elements Elements (tagName, selector and attributes).
+ * @param {String} attribute Attribute of managed elements.
+ */
+export const updateHeadElements = (elements, attribute) => {
+  const head = document.head
+  const managed = [].slice.call(head.querySelectorAll(`[${attribute}]`))
+  const updated = []
+
+  for (let i = 0, l = elements.length; i < l; i++) {
+    const { tagName, selector, attributes } = elements[i]
+    let el = head.querySelector(selector)
+
+    if (el === null) {
+      el = document.createElement(tagName)
+      head.appendChild(el)
+    }
+
+    Object.keys(attributes).forEach(name => {
+      el.setAttribute(name, attributes[name])
+    })
+
+    el.setAttribute(attribute, '')
+    updated.push(el)
+  }
+
+  for (let i = 0, l = managed.length; i < l; i++) {
+    if (updated.indexOf(managed[i]) === -1) {
+      head.removeChild(managed[i])
+    }
+  }
+}
+
+/**
+ * Render head elements to HTML.
+ *
+ * @param {Array} elements Elements (tagName and attributes).
+ * @param {String} attribute Attribute of managed elements.
+ *
+ * @returns {String} HTML.
+ */
+export const renderHeadElements = (elements, attribute) =>
+  elements.map(({ tagName, attributes }) => {
+    const attrs = Object.keys(attributes)
+      .map(name => ` ${name}="${escapeHtml(attributes[name])}"`)
+      .join('')
+
+    return `<${tagName}${attrs} ${attribute}>`
+  }).join('')
+
 /**
  * Check browser history support.
  *
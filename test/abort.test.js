@@ -0,0 +1,147 @@
+import Router from '../src/index'
+import { createComponent, createRouter, wait } from './helpers'
+
+describe('superseded navigations', () => {
+  let router
+  let log
+
+  beforeEach(() => {
+    log = []
+
+    router = createRouter({
+      routes: [
+        { name: 'home', path: '/', component: createComponent('home', { log }) },
+        { name: 'a', path: '/a', component: createComponent('a', { log }) },
+        { name: 'b', path: '/b', component: createComponent('b', { log }) }
+      ]
+    })
+  })
+
+  afterEach(() => router.destroy())
+
+  it('aborts a pending navigation when a newer one starts', () => {
+    let release = null
+
+    router.beforeEach = (from, to, next) => {
+      if (to.name === 'a') {
+        release = next
+      } else {
+        next()
+      }
+    }
+
+    let first = null
+
+    return router.mount('#app').then(() => {
+      first = router.navigate('/a').catch(failure => failure)
+      return wait()
+    }).then(() => {
+      // First navigation is pending in beforeEach
+      const second = router.navigate('/b')
+
+      expect(release).not.toBe(null)
+      expect(router.pendingRoute.name).toBe('b')
+      expect(router.currentRoute.name).toBe('home')
+
+      return second.then(route => {
+        release()
+        return Promise.all([first, route, wait()])
+      })
+    }).then(([failure, route]) => {
+      expect(Router.isNavigationFailure(failure,
+        Router.ABORTED_FAILURE)).toBe(true)
+      expect(router.currentRoute).toBe(route)
+      expect(router.pendingRoute).toBe(null)
+      expect(log).not.toContain('a:create')
+      expect(document.querySelector('#app .b')).not.toBe(null)
+      expect(router.history.location.pathname).toBe('/b')
+    })
+  })
+
+  it('commits the route once the navigation ends', () => {
+    let current = null
+
+    router.afterEach = (from, to, next) => {
+      current = router.currentRoute
+      next()
+    }
+
+    return router.mount('#app')
+      .then(() => router.navigate('/a'))
+      .then(route => {
+        expect(current.name).toBe('home')
+        expect(router.currentRoute).toBe(route)
+        expect(router.lastRoute).toBe(route)
+      })
+  })
+
+  it('skips remaining guards of an aborted navigation', () => {
+    let next = null
+
+    router.beforeEach = (from, to, resolve) => {
+      if (to.name === 'a') {
+        next = resolve
+      } else {
+        resolve()
+      }
+    }
+
+    const guard = jest.fn((from, to, next) => next())
+    router.use(() => ({ guard }))
+
+    let first = null
+
+    return router.mount('#app').then(() => {
+      guard.mockClear()
+      first = router.navigate('/a').catch(failure => failure)
+      return wait()
+    }).then(() => router.navigate('/b')).then(() => {
+      next()
+      return first
+    }).then(failure => {
+      expect(failure.type).toBe(Router.ABORTED_FAILURE)
+      expect(guard.mock.calls.map(([from, to]) => to.name)).toEqual(['b'])
+    })
+  })
+
+  it('destroys instances of a navigation aborted during afterEach', () => {
+    let release = null
+
+    router.afterEach = (from, to, next) => {
+      if (to.name === 'a') {
+        release = next
+      } else {
+        next()
+      }
+    }
+
+    let first = null
+
+    return router.mount('#app').then(() => {
+      first = router.navigate('/a').catch(failure => failure)
+      return wait()
+    }).then(() => router.navigate('/b')).then(() => {
+      release()
+      return first
+    }).then(failure => {
+      expect(failure.type).toBe(Router.ABORTED_FAILURE)
+      expect(log.filter(entry => /^a:/.test(entry)))
+        .toEqual(['a:create', 'a:destroy'])
+      expect(document.querySelector('#app .b')).not.toBe(null)
+    })
+  })
+
+  it('destroys instances when afterEach cancels the navigation', () => {
+    expect.assertions(2)
+
+    router.afterEach = (from, to, next) => next(to.name !== 'a')
+
+    return router.mount('#app')
+      .then(() => router.navigate('/a'))
+      .catch(failure => {
+        expect(failure.type).toBe(Router.CANCELLED_FAILURE)
+        expect(log).toEqual(['home:create', 'home:mount', 'a:create',
+          'a:destroy'])
+      })
+  })
+})
@@ -0,0 +1,123 @@
+import { createComponent, createRouter } from './helpers'
+
+describe('active links', () => {
+  let router
+  let nav
+
+  beforeEach(() => {
+    router = createRouter({
+      activeClass: 'active',
+      routes: [{
+        name: 'home',
+        path: '/',
+        component: createComponent('home', {
+          template: '<a href="/">Home</a>'
+        })
+      }, {
+        name: 'shop',
+        path: '/shop/:category',
+        component: createComponent('shop', {
+          template: '<div data-router-view></div>'
+        }),
+        children: [{
+          name: 'product',
+          path: ':id',
+          component: createComponent('product')
+        }]
+      }]
+    })
+
+    document.querySelector('#app').insertAdjacentHTML('beforebegin',
+      '<nav>' +
+      '<a href="/">Home</a>' +
+      '<a href="/shop/shoes">Shoes</a>' +
+      '<a href="/shop/shoes/1">Shoe</a>' +
+      '<a href="/shop/hats/1">Hat</a>' +
+      '</nav>')
+    nav = [].slice.call(document.querySelectorAll('nav a'))
+
+    // Memory routers only handle links inside their mount element by default
+    router.scopeLinks = false
+  })
+
+  afterEach(() => router.destroy())
+
+  const getState = () => nav.map(anchor => [
+    anchor.classList.contains('active'),
+    anchor.classList.contains('router-link-exact-active'),
+    anchor.getAttribute('aria-current')
+  ])
+
+  it('marks links to the current route and its parents', () => {
+    return router.mount('#app')
+      .then(() => router.navigate({
+        name: 'product',
+        params: { category: 'shoes', id: 1 }
+      }))
+      .then(() => {
+        expect(getState()).toEqual([
+          [false, false, null],
+          [true, false, null],
+          [true, true, 'page'],
+          [false, false, null]
+        ])
+
+        return router.navigate('/shop/shoes')
+      })
+      .then(() => {
+        expect(getState()).toEqual([
+          [false, false, null],
+          [true, true, 'page'],
+          [false, false, null],
+          [false, false, null]
+        ])
+      })
+  })
+
+  it('marks links of mounted pages', () => {
+    return router.mount('#app')
+      .then(() => router.navigate('/shop/hats/1'))
+      .then(() => router.back())
+      .then(() => {
+        const anchor = document.querySelector('#app .home a')
+
+        expect(anchor).not.toBe(null)
+        expect(anchor.classList.contains('router-link-exact-active'))
+          .toBe(true)
+        expect(nav[3].classList.contains('active')).toBe(false)
+      })
+  })
+
+  it('marks links to the start of the current path', () => {
+    router.destroy()
+    router = createRouter({
+      routes: [
+        { name: 'home', path: '/', component: createComponent('home') },
+        { name: 'blog', path: '/blog', component: createComponent('blog') },
+        { name: 'article', path: '/blog/:slug', component: createComponent('article') },
+        { name: 'bloggers', path: '/bloggers', component: createComponent('bloggers') }
+      ]
+    })
+    router.scopeLinks = false
+
+    document.querySelector('#app').insertAdjacentHTML('beforebegin',
+      '<nav>' +
+      '<a href="/">Home</a>' +
+      '<a href="/blog">Blog</a>' +
+      '<a href="/blog/hello">Hello</a>' +
+      '<a href="/bloggers">Bloggers</a>' +
+      '</nav>')
+    nav = [].slice.call(document.querySelectorAll('nav a'))
+
+    const getActive = () => nav.map(anchor =>
+      anchor.classList.contains('router-link-active'))
+
+    return router.mount('#app')
+      .then(() => router.navigate('/blog/hello'))
+      .then(() => {
+        expect(getActive()).toEqual([false, true, true, false])
+        expect(nav[1].getAttribute('aria-current')).toBe(null)
+        expect(nav[2].getAttribute('aria-current')).toBe('page')
+      })
+  })
+})
@@ -0,0 +1,89 @@
+import Router from '../src/index'
+import { createComponent, createRouter } from './helpers'
+
+describe('blocking navigations', () => {
+  let router
+  let confirm
+
+  beforeEach(() => {
+    confirm = jest.fn(() => false)
+
+    router = createRouter({
+      confirm: message => confirm(message),
+      routes: [
+        { name: 'home', path: '/', component: createComponent('home') },
+        { name: 'form', path: '/form', component: createComponent('form') }
+      ]
+    })
+
+    return router.mount('#app').then(() => router.navigate('/form'))
+  })
+
+  afterEach(() => router.destroy())
+
+  it('blocks push and replace navigations', () => {
+    expect.assertions(4)
+
+    const blocker = jest.fn(() => false)
+    router.block(blocker)
+
+    return router.navigate('/')
+      .catch(failure => {
+        expect(Router.isNavigationFailure(failure,
+          Router.CANCELLED_FAILURE)).toBe(true)
+        return router.replace('/')
+      })
+      .catch(() => {
+        expect(blocker.mock.calls.map(([to, from, action]) =>
+          [to.name, from.name, action])).toEqual([
+          ['home', 'form', Router.PUSH_ACTION],
+          ['home', 'form', Router.REPLACE_ACTION]
+        ])
+        expect(router.currentRoute.name).toBe('form')
+        expect(router.history.location.pathname).toBe('/form')
+      })
+  })
+
+  it('asks for confirmation with a message', () => {
+    router.block(() => 'Discard changes ?')
+
+    return router.navigate('/')
+      .catch(() => {
+        expect(confirm).toHaveBeenCalledWith('Discard changes ?')
+        confirm.mockReturnValue(Promise.resolve(true))
+        return router.navigate('/')
+      })
+      .then(route => expect(route.name).toBe('home'))
+  })
+
+  it('restores the location when a pop is blocked', () => {
+    expect.assertions(3)
+
+    router.block((to, from, action) => action !== Router.POP_ACTION)
+
+    return router.back()
+      .catch(failure => {
+        expect(Router.isNavigationFailure(failure,
+          Router.CANCELLED_FAILURE)).toBe(true)
+        expect(router.currentRoute.name).toBe('form')
+        expect(router.history.location.pathname).toBe('/form')
+      })
+  })
+
+  it('unblocks and blocks tab closes with the beforeUnload option', () => {
+    const unblock = router.block(() => 'Leave ?', { beforeUnload: true })
+    const event = new window.Event('beforeunload', { cancelable: true })
+
+    window.dispatchEvent(event)
+    expect(event.defaultPrevented).toBe(true)
+
+    unblock()
+
+    const nextEvent = new window.Event('beforeunload', { cancelable: true })
+
+    window.dispatchEvent(nextEvent)
+    expect(nextEvent.defaultPrevented).toBe(false)
+
+    return router.back().then(route => expect(route.name).toBe('home'))
+  })
+})
@@ -0,0 +1,96 @@
+import Router from '../src/index'
+import { createComponent } from './helpers'
+
+describe('data resolvers', () => {
+  let router
+  let fetchUser
+  let data
+
+  const createUserRouter = (path, html = '') => {
+    document.body.innerHTML = `<div id="app">${html}</div>`
+    window.history.replaceState(null, '', path)
+
+    router = new Router({
+      routes: [{
+        name: 'home',
+        path: '/',
+        component: createComponent('home')
+      }, {
+        name: 'user',
+        path: '/user/:id',
+        cache: true,
+        resolve: {
+          user: route => fetchUser(route.params.id),
+          settings: { theme: 'dark' }
+        },
+        component: createComponent('user', {
+          $mount (el) {
+            data = router.pendingRoute === null ? router.currentRoute.data : null
+            this.$el = document.createElement('div')
+            this.$el.className = 'user'
+            el.appendChild(this.$el)
+          },
+          $preRenderMount (el) {
+            this.$el = el
+            data = router.currentRoute.data
+          }
+        })
+      }]
+    })
+  }
+
+  beforeEach(() => {
+    data = null
+    fetchUser = jest.fn(id => Promise.resolve({ id }))
+  })
+
+  afterEach(() => router.destroy())
+
+  it('resolves data before mounting components', () => {
+    createUserRouter('/')
+
+    return router.mount('#app')
+      .then(() => router.navigate('/user/1'))
+      .then(route => {
+        expect(route.data).toEqual({
+          user: { id: '1' },
+          settings: { theme: 'dark' }
+        })
+        expect(data).toBe(route.data)
+      })
+  })
+
+  it('caches data by params and query', () => {
+    createUserRouter('/')
+
+    return router.mount('#app')
+      .then(() => router.navigate('/user/1'))
+      .then(() => router.navigate('/user/2'))
+      .then(() => router.navigate('/user/1'))
+      .then(() => router.navigate('/'))
+      .then(() => router.navigate({ path: '/user/1', query: { tab: 'a' } }))
+      .then(() => {
+        expect(fetchUser.mock.calls.map(([id]) => id))
+          .toEqual(['1', '2', '1'])
+      })
+  })
+
+  it('uses data of the hydration state on the first route', () => {
+    createUserRouter('/user/1', '<div class="user"></div>')
+
+    window[router.stateKey] = {
+      route: { name: 'user', path: '/user/1', params: { id: '1' }, query: {} },
+      data: { user: { id: '1', name: 'server' } }
+    }
+
+    return router.hydrate('#app').then(route => {
+      delete window[router.stateKey]
+
+      expect(fetchUser).not.toHaveBeenCalled()
+      expect(route.data.user.name).toBe('server')
+      expect(data).toBe(route.data)
+      expect(route.instance.$el).toBe(document.querySelector('#app .user'))
+      expect(router.mode).toBe(Router.BROWSER_MODE)
+    })
+  })
+})
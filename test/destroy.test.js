@@ -0,0 +1,183 @@
+import Router from '../src/index'
+import { createComponent, wait } from './helpers'
+
+describe('destroy and multiple routers', () => {
+  let log
+  let routers
+
+  const createRoutes = prefix => [
+    { name: 'home', path: '/', component: createComponent(`${prefix}-home`, { log }) },
+    { name: 'about', path: '/about', component: createComponent(`${prefix}-about`, { log }) }
+  ]
+
+  const click = (selector, href) => {
+    const anchor = document.createElement('a')
+    anchor.setAttribute('href', href)
+    document.querySelector(selector).appendChild(anchor)
+
+    // Stop unhandled clicks from reaching jsdom navigation
+    document.addEventListener('click', e => e.preventDefault(), { once: true })
+
+    anchor.dispatchEvent(new window.MouseEvent('click', {
+      bubbles: true,
+      cancelable: true,
+      button: 0
+    }))
+
+    return wait()
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    log = []
+    routers = []
+    document.body.innerHTML = '<div id="app"></div><div id="widget"></div>'
+    window.history.replaceState(null, '', '/')
+  })
+
+  afterEach(() => {
+    routers.forEach(router => router.destroy())
+    console.error.mockRestore()
+  })
+
+  it('removes listeners and destroys page instances', () => {
+    const router = new Router({ routes: createRoutes('page') })
+    const routeChanged = jest.fn()
+
+    routers.push(router)
+    router.routeChanged.add(routeChanged)
+
+    return router.mount('#app').then(() => {
+      routeChanged.mockClear()
+      router.destroy()
+
+      expect(log).toEqual(['page-home:create', 'page-home:mount', 'page-home:destroy'])
+      expect(router.currentRoute).toBe(null)
+
+      return click('#app', '/about')
+    })
+      .then(() => {
+        window.history.pushState(null, '', '/about')
+        window.history.back()
+
+        return wait(50)
+      })
+      .then(() => {
+        expect(routeChanged).not.toHaveBeenCalled()
+        expect(log).toHaveLength(3)
+      })
+  })
+
+  it('aborts the pending navigation', () => {
+    expect.assertions(2)
+
+    const router = new Router({ routes: createRoutes('page') })
+
+    routers.push(router)
+    router.beforeEach = (from, to, next) => wait().then(() => next())
+
+    return router.mount('#app').then(() => {
+      const pending = router.navigate('/about')
+
+      router.destroy()
+
+      return pending
+    })
+      .catch(failure => {
+        expect(Router.isNavigationFailure(failure, Router.ABORTED_FAILURE))
+          .toBe(true)
+        expect(log).not.toContain('page-about:mount')
+      })
+  })
+
+  it('stops the running transition', () => {
+    expect.assertions(4)
+
+    let release = null
+    const router = new Router({
+      routes: [{
+        name: 'home',
+        path: '/',
+        component: createComponent('page-home', {
+          log,
+          $leave: () => new Promise(resolve => { release = resolve })
+        })
+      }, ...createRoutes('page').slice(1)]
+    })
+
+    routers.push(router)
+
+    return router.mount('#app').then(() => {
+      const pending = router.navigate('/about')
+
+      return wait().then(() => {
+        // Home is leaving
+        router.destroy()
+        release()
+
+        return pending
+      })
+    })
+      .catch(failure => {
+        expect(Router.isNavigationFailure(failure, Router.ABORTED_FAILURE))
+          .toBe(true)
+        expect(log).toEqual(['page-home:create', 'page-home:mount',
+          'page-about:create', 'page-about:destroy', 'page-home:destroy'])
+        expect(document.querySelector('#app').children).toHaveLength(0)
+        expect(console.error).not.toHaveBeenCalled()
+      })
+  })
+
+  it('scopes links of memory routers to their mount element', () => {
+    const page = new Router({ routes: createRoutes('page') })
+    const widget = new Router({
+      mode: Router.MEMORY_MODE,
+      basePath: '/widget',
+      routes: createRoutes('widget')
+    })
+
+    routers.push(page, widget)
+
+    return Promise.all([page.mount('#app'), widget.mount('#widget')])
+      .then(() => click('#widget', '/widget/about'))
+      .then(() => {
+        expect(widget.currentRoute.name).toBe('about')
+        expect(page.currentRoute.name).toBe('home')
+        expect(window.location.pathname).toBe('/')
+
+        return click('#app', '/about')
+      })
+      .then(() => {
+        expect(page.currentRoute.name).toBe('about')
+        expect(widget.currentRoute.name).toBe('about')
+      })
+  })
+
+  it('leaves links inside a nested router to it', () => {
+    const page = new Router({
+      routes: [{
+        name: 'home',
+        path: '/',
+        component: createComponent('page-home', {
+          log,
+          template: '<div class="nested"></div>'
+        })
+      }, ...createRoutes('page').slice(1)]
+    })
+    const nested = new Router({
+      mode: Router.MEMORY_MODE,
+      routes: createRoutes('nested')
+    })
+
+    routers.push(page, nested)
+
+    return page.mount('#app')
+      .then(() => nested.mount('#app .nested'))
+      .then(() => click('#app .nested', '/about'))
+      .then(() => {
+        expect(nested.currentRoute.name).toBe('about')
+        expect(page.currentRoute.name).toBe('home')
+      })
+  })
+})
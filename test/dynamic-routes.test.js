@@ -0,0 +1,116 @@
+import { createComponent, createRouter, wait } from './helpers'
+
+describe('dynamic routes', () => {
+  let router
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    router = createRouter({
+      notFound: { name: 'not-found', component: createComponent('not-found') },
+      routes: [
+        { name: 'home', path: '/', component: createComponent('home') },
+        {
+          name: 'admin',
+          path: '/admin',
+          component: createComponent('admin', {
+            template: '<div data-router-view></div>'
+          })
+        }
+      ]
+    })
+  })
+
+  afterEach(() => {
+    router.destroy()
+    console.error.mockRestore()
+  })
+
+  it('adds routes and children of existing routes', () => {
+    router.addRoute({
+      name: 'users',
+      path: 'users/:id',
+      component: createComponent('users')
+    }, { parent: 'admin' })
+
+    expect(router.hasRoute('users')).toBe(true)
+    expect(router.getRoutes().map(({ name, path, parent }) =>
+      [name, path, parent])).toEqual([
+      ['home', '/', null],
+      ['users', '/admin/users/:id', 'admin'],
+      ['admin', '/admin', null]
+    ])
+    expect(router.href({ name: 'users', params: { id: 1 } }))
+      .toBe('/admin/users/1')
+
+    return router.mount('#app')
+      .then(() => router.navigate('/admin/users/1'))
+      .then(route => {
+        expect(route.matched.map(({ name }) => name))
+          .toEqual(['admin', 'users'])
+      })
+  })
+
+  it('removes routes with their children', () => {
+    expect.assertions(4)
+
+    router.addRoute({ name: 'users', path: 'users' }, { parent: 'admin' })
+
+    expect(router.removeRoute('admin')).toBe(true)
+    expect(router.hasRoute('users')).toBe(false)
+    expect(router.removeRoute('admin')).toBe(false)
+
+    return router.mount('#app')
+      .then(() => router.navigate('/admin'))
+      .then(route => expect(route.name).toBe('not-found'))
+  })
+
+  it('removes added routes with the returned function', () => {
+    const remove = router.addRoute({ name: 'about', path: '/about' })
+
+    remove()
+
+    expect(router.hasRoute('about')).toBe(false)
+  })
+
+  it('navigates again when an added route matches the location', () => {
+    router.history.replace('/shop')
+
+    return router.mount('#app')
+      .then(route => {
+        expect(route.name).toBe('not-found')
+
+        router.addRoute({
+          name: 'shop',
+          path: '/shop',
+          component: createComponent('shop')
+        })
+
+        return wait()
+      })
+      .then(() => {
+        expect(router.currentRoute.name).toBe('shop')
+        expect(document.querySelector('#app .shop')).not.toBe(null)
+        expect(router.history.length).toBe(1)
+      })
+  })
+
+  it('lists routes without their aliases', () => {
+    router.addRoute({
+      name: 'shop',
+      path: '/shop',
+      alias: '/store',
+      component: createComponent('shop', {
+        template: '<div data-router-view></div>'
+      }),
+      children: [{ name: 'item', path: ':id', component: createComponent('item') }]
+    })
+
+    expect(router.getRoutes()
+      .filter(({ name }) => name === 'shop' || name === 'item')
+      .map(({ name, path }) => [name, path])).toEqual([
+      ['item', '/shop/:id'],
+      ['shop', '/shop']
+    ])
+  })
+})
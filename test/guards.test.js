@@ -0,0 +1,168 @@
+import Router from '../src/index'
+import {
+  createComponent,
+  createRouter,
+  mountRouter,
+  navigateTo
+} from './helpers'
+
+describe('guards', () => {
+  let router
+  let calls
+
+  const guard = name => (from, to, next) => {
+    calls.push(name)
+    next()
+  }
+
+  beforeEach(() => {
+    calls = []
+
+    router = createRouter({
+      routes: [{
+        name: 'home',
+        path: '/',
+        component: createComponent('home')
+      }, {
+        name: 'account',
+        path: '/account',
+        component: createComponent('account', {
+          template: '<div data-router-view></div>',
+          beforeLeave: guard('account:beforeLeave')
+        }),
+        children: [{
+          name: 'settings',
+          path: 'settings',
+          component: createComponent('settings', {
+            beforeLeave: guard('settings:beforeLeave')
+          })
+        }]
+      }, {
+        name: 'shop',
+        path: '/shop',
+        component: createComponent('shop', {
+          template: '<div data-router-view></div>'
+        }),
+        beforeEnter: guard('shop:beforeEnter'),
+        children: [{
+          name: 'product',
+          path: ':id',
+          component: createComponent('product', {
+            beforeUpdate: guard('product:beforeUpdate')
+          }),
+          beforeEnter: guard('product:beforeEnter')
+        }]
+      }, {
+        name: 'login',
+        path: '/login',
+        component: createComponent('login')
+      }]
+    })
+
+    router.beforeEach = guard('beforeEach')
+  })
+
+  afterEach(() => router.destroy())
+
+  it('calls guards in order', () => {
+    return mountRouter(router)
+      .then(() => navigateTo(router, '/account/settings'))
+      .then(() => {
+        calls = []
+        return navigateTo(router, '/shop/1')
+      })
+      .then(() => {
+        expect(calls).toEqual([
+          'settings:beforeLeave',
+          'account:beforeLeave',
+          'beforeEach',
+          'shop:beforeEnter',
+          'product:beforeEnter'
+        ])
+      })
+  })
+
+  it('calls beforeUpdate and reuses instances when only params change', () => {
+    let instance = null
+
+    return mountRouter(router)
+      .then(() => navigateTo(router, '/shop/1'))
+      .then(route => {
+        instance = route.instances[1]
+        calls = []
+        return navigateTo(router, '/shop/2')
+      })
+      .then(route => {
+        expect(calls).toEqual(['beforeEach', 'product:beforeUpdate'])
+        expect(route.instances[1]).toBe(instance)
+        expect(route.params.id).toBe('2')
+      })
+  })
+
+  it('cancels when a guard returns false', () => {
+    router.beforeEach = (from, to, next) => {
+      calls.push('beforeEach')
+      next(to.name !== 'product')
+    }
+
+    return mountRouter(router)
+      .then(() => navigateTo(router, '/shop/1'))
+      .then(route => {
+        expect(calls).toEqual(['beforeEach', 'beforeEach'])
+        expect(route.name).toBe('home')
+        expect(router.history.location.pathname).toBe('/')
+      })
+  })
+
+  it('redirects when a guard resolves with a path or options', () => {
+    router.beforeEach = (from, to) => to.name === 'product'
+      ? Promise.resolve({ name: 'login' })
+      : true
+
+    return mountRouter(router)
+      .then(() => navigateTo(router, '/shop/1'))
+      .then(route => {
+        expect(route.name).toBe('login')
+        expect(router.history.location.pathname).toBe('/login')
+      })
+  })
+
+  it('restores the history entry when a guard cancels a pop', () => {
+    expect.assertions(4)
+
+    return router.mount('#app')
+      .then(() => router.navigate('/login'))
+      .then(() => {
+        router.beforeEach = (from, to, next) => next(to.name !== 'home')
+        return router.back()
+      })
+      .catch(failure => {
+        expect(Router.isNavigationFailure(failure,
+          Router.CANCELLED_FAILURE)).toBe(true)
+        expect(router.currentRoute.name).toBe('login')
+        expect(router.history.location.pathname).toBe('/login')
+        expect(router.history.index).toBe(1)
+      })
+  })
+
+  it('pushes the redirect of a pop after restoring its entry', () => {
+    router.beforeEach = (from, to, next) =>
+      next(to.name === 'shop' && from.name === 'login' ? '/account' : true)
+
+    const redirected = new Promise(resolve => router.routeChanged.add(
+      (from, to) => to.name === 'account' && resolve()))
+
+    return router.mount('#app')
+      .then(() => router.navigate('/shop'))
+      .then(() => router.navigate('/login'))
+      .then(() => router.back())
+      .catch(() => redirected)
+      .then(() => {
+        expect(router.currentRoute.name).toBe('account')
+        expect(router.history.entries.map(({ pathname }) => pathname))
+          .toEqual(['/', '/shop', '/login', '/account'])
+        return router.back()
+      })
+      .then(route => expect(route.name).toBe('login'))
+  })
+})
@@ -0,0 +1,163 @@
+import Router from '../src/index'
+import { createComponent, wait } from './helpers'
+
+describe('hash mode', () => {
+  let router
+
+  const createHashRouter = (options = {}) => {
+    document.body.innerHTML = '<div id="app"></div>'
+
+    return new Router({
+      mode: Router.HASH_MODE,
+      routes: [
+        { name: 'home', path: '/', component: createComponent('home') },
+        { name: 'about', path: '/about', component: createComponent('about') }
+      ],
+      ...options
+    })
+  }
+
+  const waitSignal = signal => new Promise(resolve =>
+    signal.once(() => wait().then(resolve)))
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    window.history.replaceState(null, '', '/')
+  })
+
+  afterEach(() => {
+    router.destroy()
+    console.error.mockRestore()
+  })
+
+  it('writes the path in the hash for each hash type', () => {
+    const hashes = { slash: '#/about', noslash: '#about', hashbang: '#!/about' }
+
+    return Object.keys(hashes).reduce((promise, hashType) => promise
+      .then(() => {
+        window.history.replaceState(null, '', '/')
+        router = createHashRouter({ hashType })
+
+        return router.mount('#app')
+      })
+      .then(() => router.navigate('/about'))
+      .then(route => {
+        expect(route.name).toBe('about')
+        expect(window.location.hash).toBe(hashes[hashType])
+        expect(router.href('/about')).toBe(hashes[hashType])
+        router.destroy()
+      }), Promise.resolve())
+  })
+
+  it('goes through the navigation pipeline on back and forward', () => {
+    const log = []
+
+    router = createHashRouter()
+    router.beforeEach = (from, to, next) => {
+      log.push(to.name)
+      next()
+    }
+
+    return router.mount('#app')
+      .then(() => router.navigate('/about'))
+      .then(() => {
+        const changed = waitSignal(router.routeChanged)
+
+        window.history.back()
+
+        return changed
+      })
+      .then(() => {
+        expect(router.currentRoute.name).toBe('home')
+        expect(document.querySelector('#app .home')).not.toBe(null)
+
+        const changed = waitSignal(router.routeChanged)
+
+        window.history.forward()
+
+        return changed
+      })
+      .then(() => {
+        expect(router.currentRoute.name).toBe('about')
+        expect(log).toEqual(['home', 'about', 'home', 'about'])
+      })
+  })
+
+  it('restores the hash when a guard cancels a back navigation', () => {
+    router = createHashRouter()
+
+    return router.mount('#app')
+      .then(() => router.navigate('/about'))
+      .then(() => {
+        router.beforeEach = (from, to, next) => next(false)
+        window.history.back()
+
+        return wait(50)
+      })
+      .then(() => {
+        expect(router.currentRoute.name).toBe('about')
+        expect(window.location.hash).toBe('#/about')
+        expect(document.querySelector('#app .about')).not.toBe(null)
+      })
+  })
+
+  it('restores the hash when a back navigation is blocked', () => {
+    const blocker = jest.fn(() => false)
+
+    router = createHashRouter()
+
+    return router.mount('#app')
+      .then(() => router.navigate('/about'))
+      .then(() => {
+        router.block(blocker)
+        window.history.back()
+
+        return wait(50)
+      })
+      .then(() => {
+        expect(blocker).toHaveBeenCalled()
+        expect(router.currentRoute.name).toBe('about')
+        expect(window.location.hash).toBe('#/about')
+        expect(document.querySelector('#app .about')).not.toBe(null)
+      })
+  })
+
+  it('does not crash on unmatched hashes', () => {
+    router = createHashRouter()
+
+    return router.mount('#app')
+      .then(() => {
+        const failed = waitSignal(router.navigationFailed)
+
+        window.location.hash = '#/unknown'
+
+        return failed
+      })
+      .then(() => {
+        expect(router.currentRoute.name).toBe('home')
+        expect(document.querySelector('#app .home')).not.toBe(null)
+      })
+  })
+
+  it('handles hash links of its hash type', () => {
+    router = createHashRouter({ hashType: 'hashbang' })
+
+    return router.mount('#app').then(() => {
+      const anchor = document.createElement('a')
+
+      anchor.setAttribute('href', '#!/about')
+      document.querySelector('#app').appendChild(anchor)
+      anchor.dispatchEvent(new window.MouseEvent('click', {
+        bubbles: true,
+        cancelable: true,
+        button: 0
+      }))
+
+      return wait()
+    })
+      .then(() => {
+        expect(router.currentRoute.name).toBe('about')
+        expect(window.location.hash).toBe('#!/about')
+      })
+  })
+})
@@ -0,0 +1,55 @@
+/**
+ * @jest-environment node
+ */
+
+import Router from '../src/index'
+
+class Page {
+  $mount () {}
+  $destroy () {}
+
+  get template () {
+    return '<div></div>'
+  }
+}
+
+describe('head on server', () => {
+  const createServerRouter = head => new Router({
+    head,
+    routes: [{
+      name: 'about',
+      path: '/about',
+      head: { title: 'About', meta: { description: 'About page' } },
+      component: Page
+    }]
+  })
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => console.error.mockRestore())
+
+  it('renders the head with absolute links', () => {
+    const router = createServerRouter({ origin: 'https://example.com' })
+
+    return router.renderToString('/about').then(({ head }) => {
+      expect(head).toBe('<title>About</title>' +
+        '<meta name="description" content="About page" data-router-head>' +
+        '<link rel="canonical" href="https://example.com/about" ' +
+        'data-router-head>')
+      expect(console.error).not.toHaveBeenCalled()
+    })
+  })
+
+  it('requires an origin for canonical and hreflang links', () => {
+    const router = createServerRouter(true)
+
+    expect(console.error).toHaveBeenCalledWith('Router : head.origin is ' +
+      'required on server for canonical and hreflang links')
+
+    return router.renderToString('/about').then(({ head }) => {
+      expect(head).not.toMatch('canonical')
+    })
+  })
+})
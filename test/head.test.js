@@ -0,0 +1,120 @@
+import { createComponent, createRouter } from './helpers'
+
+describe('meta and head', () => {
+  let router
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    document.head.innerHTML = ''
+    document.title = ''
+
+    router = createRouter({
+      locales: ['en', 'fr'],
+      head: { titleTemplate: '%s | Shop', origin: 'https://example.com/' },
+      routes: [{
+        name: 'home',
+        path: '/',
+        head: { title: 'Home', meta: { description: 'Home page' } },
+        component: createComponent('home')
+      }, {
+        name: 'shop',
+        path: { en: '/shop', fr: '/boutique' },
+        meta: { layout: 'shop', requiresAuth: false },
+        head: { title: 'Shop', meta: { description: 'Shop page' } },
+        component: createComponent('shop', {
+          template: '<main data-router-view></main>'
+        }),
+        children: [{
+          name: 'product',
+          path: ':id',
+          meta: { requiresAuth: true },
+          head: {
+            title: route => route.data.product.name,
+            meta: { 'og:type': 'product' }
+          },
+          resolve: { product: route => ({ name: `Product ${route.params.id}` }) },
+          component: createComponent('product')
+        }]
+      }]
+    })
+
+    return router.mount('#app')
+  })
+
+  afterEach(() => {
+    router.destroy()
+    console.error.mockRestore()
+  })
+
+  it('merges the meta of parent routes', () => {
+    return router.navigate('/en/shop/42').then(route => {
+      expect(route.meta).toEqual({ layout: 'shop', requiresAuth: true })
+    })
+  })
+
+  it('updates the document title with the title template', () => {
+    expect(document.title).toBe('Home | Shop')
+
+    return router.navigate('/en/shop/42').then(() => {
+      expect(document.title).toBe('Product 42 | Shop')
+    })
+  })
+
+  it('updates meta tags, child routes overriding their parents', () => {
+    return router.navigate('/en/shop/42').then(() => {
+      expect(document.head.querySelector('meta[name="description"]')
+        .getAttribute('content')).toBe('Shop page')
+      expect(document.head.querySelector('meta[property="og:type"]')
+        .getAttribute('content')).toBe('product')
+    })
+      .then(() => router.navigate('/en/'))
+      .then(() => {
+        expect(document.head.querySelector('meta[name="description"]')
+          .getAttribute('content')).toBe('Home page')
+        expect(document.head.querySelector('meta[property="og:type"]'))
+          .toBe(null)
+      })
+  })
+
+  it('adds canonical and hreflang links', () => {
+    return router.navigate('/fr/boutique').then(() => {
+      const link = selector => document.head.querySelector(selector)
+        .getAttribute('href')
+
+      expect(link('link[rel="canonical"]'))
+        .toBe('https://example.com/fr/boutique')
+      expect(link('link[hreflang="en"]')).toBe('https://example.com/en/shop')
+      expect(link('link[hreflang="fr"]'))
+        .toBe('https://example.com/fr/boutique')
+    })
+  })
+
+  it('mounts the page and logs when a head function throws', () => {
+    router.addRoute({
+      name: 'broken',
+      path: '/broken',
+      head: { title: route => route.data.missing.name },
+      component: createComponent('broken')
+    })
+
+    return router.navigate('/en/broken').then(route => {
+      expect(route.name).toBe('broken')
+      expect(router.history.location.pathname).toBe('/en/broken')
+      expect(document.querySelector('#app .broken')).not.toBe(null)
+      expect(document.title).toBe('Home | Shop')
+      expect(console.error).toHaveBeenCalledWith(expect.stringMatching(
+        /^Router\._updateHead : Cannot get head of route 'broken'/))
+    })
+  })
+
+  it('leaves head elements it does not manage', () => {
+    const el = document.createElement('meta')
+
+    el.setAttribute('name', 'viewport')
+    document.head.appendChild(el)
+
+    return router.navigate('/en/shop').then(() => {
+      expect(document.head.querySelector('meta[name="viewport"]')).toBe(el)
+    })
+  })
+})
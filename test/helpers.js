@@ -0,0 +1,97 @@
+import Router from '../src/index'
+
+/**
+ * Create a page component class, instances log their lifecycle.
+ *
+ * @param {String} name Component name, class of its element.
+ * @param {Object} [options={}] Options.
+ * @param {Array} [options.log=[]] Lifecycle log.
+ * @param {String} [options.template=''] Inner html of its element.
+ * @param {...Function} [options.methods] Other methods (guards, transition
+ *                                        and keep alive hooks).
+ *
+ * @returns {Function} Component class.
+ */
+export const createComponent = (name, {
+  log = [],
+  template = '',
+  ...methods
+} = {}) => {
+  class Component {
+    constructor () {
+      this.name = name
+      this.$el = null
+      log.push(`${name}:create`)
+    }
+
+    $mount (el) {
+      this.$el = document.createElement('div')
+      this.$el.className = name
+      this.$el.innerHTML = template
+      el.appendChild(this.$el)
+      log.push(`${name}:mount`)
+    }
+
+    $destroy () {
+      if (this.$el && this.$el.parentNode) {
+        this.$el.parentNode.removeChild(this.$el)
+      }
+
+      this.$el = null
+      log.push(`${name}:destroy`)
+    }
+  }
+
+  Object.assign(Component.prototype, methods)
+
+  return Component
+}
+
+/**
+ * Create a memory router mounted on #app.
+ *
+ * @param {Object} [options={}] Router options.
+ *
+ * @returns {Router} Router, not mounted.
+ */
+export const createRouter = (options = {}) => {
+  document.body.innerHTML = '<div id="app"></div>'
+
+  return new Router({ mode: Router.MEMORY_MODE, ...options })
+}
+
+/**
+ * Wait for pending promises and timers.
+ *
+ * @param {Number} [ms=0] Delay.
+ *
+ * @returns {Promise} Promise resolved after the delay.
+ */
+export const wait = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Mount a router on #app and wait for its first route.
+ *
+ * @param {Router} router Router.
+ *
+ * @returns {Promise} Promise resolved with the current route.
+ */
+export const mountRouter = router => {
+  router.mount('#app')
+
+  return wait(10).then(() => router.currentRoute)
+}
+
+/**
+ * Navigate and wait for the new route to be mounted.
+ *
+ * @param {Router} router Router.
+ * @param {String|Object} location Path or navigate options.
+ *
+ * @returns {Promise} Promise resolved with the current route.
+ */
+export const navigateTo = (router, location) => {
+  router.navigate(location)
+
+  return wait(10).then(() => router.currentRoute)
+}
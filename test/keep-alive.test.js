@@ -0,0 +1,150 @@
+import { createComponent, createRouter } from './helpers'
+
+describe('keep alive', () => {
+  let router
+  let log
+
+  const hooks = name => ({
+    log,
+    $activated () { log.push(`${name}:activated`) },
+    $deactivated () { log.push(`${name}:deactivated`) }
+  })
+
+  const createKeepAliveRouter = keepAlive => {
+    router = createRouter({
+      keepAlive,
+      routes: [
+        { name: 'home', path: '/', component: createComponent('home', hooks('home')) },
+        {
+          name: 'products',
+          path: '/products',
+          component: createComponent('products', hooks('products'))
+        },
+        {
+          name: 'product',
+          path: '/products/:id',
+          component: createComponent('product', hooks('product'))
+        },
+        {
+          name: 'cart',
+          path: '/cart',
+          keepAlive: false,
+          component: createComponent('cart', hooks('cart'))
+        },
+        {
+          name: 'account',
+          path: '/account',
+          keepAlive: true,
+          component: createComponent('account', hooks('account'))
+        }
+      ]
+    })
+
+    return router.mount('#app')
+  }
+
+  beforeEach(() => {
+    log = []
+  })
+
+  afterEach(() => router.destroy())
+
+  it('detaches instances when leaving and reattaches them on return', () => {
+    let products = null
+
+    return createKeepAliveRouter(true)
+      .then(() => router.navigate('/products'))
+      .then(route => {
+        products = route.instance
+        products.$el.setAttribute('data-scrolled', '')
+        log.length = 0
+        return router.navigate('/')
+      })
+      .then(() => {
+        expect(log).toEqual(['products:deactivated', 'home:activated'])
+        expect(document.querySelector('#app .products')).toBe(null)
+        log.length = 0
+        return router.navigate('/products')
+      })
+      .then(route => {
+        expect(route.instance).toBe(products)
+        expect(log).toEqual(['home:deactivated', 'products:activated'])
+        expect(document.querySelector('#app .products[data-scrolled]'))
+          .toBe(products.$el)
+      })
+  })
+
+  it('keeps an instance by path and params', () => {
+    let first = null
+
+    return createKeepAliveRouter(true)
+      .then(() => router.navigate('/products/1'))
+      .then(route => {
+        first = route.instance
+        return router.navigate('/products/2')
+      })
+      .then(route => {
+        expect(route.instance).not.toBe(first)
+        return router.navigate('/products/1')
+      })
+      .then(route => expect(route.instance).toBe(first))
+  })
+
+  it('destroys least recently used instances above the maximum', () => {
+    return createKeepAliveRouter({ max: 1 })
+      .then(() => router.navigate('/products'))
+      .then(() => router.navigate('/products/1'))
+      .then(() => {
+        expect(log).toContain('home:destroy')
+        expect(log).not.toContain('products:destroy')
+        log.length = 0
+        return router.navigate('/products')
+      })
+      .then(() => expect(log).toEqual([
+        'product:deactivated',
+        'products:activated'
+      ]))
+  })
+
+  it('keeps included routes only and never excluded ones', () => {
+    return createKeepAliveRouter({ include: ['products', 'product'], exclude: ['product'] })
+      .then(() => router.navigate('/products'))
+      .then(() => router.navigate('/products/1'))
+      .then(() => router.navigate('/'))
+      .then(() => {
+        expect(log).toContain('home:destroy')
+        expect(log).toContain('product:destroy')
+        expect(log).not.toContain('products:destroy')
+      })
+  })
+
+  it('lets the route keepAlive field override the option', () => {
+    return createKeepAliveRouter(true)
+      .then(() => router.navigate('/cart'))
+      .then(() => router.navigate('/'))
+      .then(() => {
+        expect(log).toContain('cart:destroy')
+        expect(log).not.toContain('cart:deactivated')
+      })
+  })
+
+  it('keeps routes with a true keepAlive field even when excluded', () => {
+    return createKeepAliveRouter({ exclude: ['account'] })
+      .then(() => router.navigate('/account'))
+      .then(() => router.navigate('/'))
+      .then(() => {
+        expect(log).toContain('account:deactivated')
+        expect(log).not.toContain('account:destroy')
+      })
+  })
+
+  it('destroys kept alive instances with the router', () => {
+    return createKeepAliveRouter(true)
+      .then(() => router.navigate('/products'))
+      .then(() => {
+        router.destroy()
+        expect(log).toContain('home:destroy')
+        expect(log).toContain('products:destroy')
+      })
+  })
+})
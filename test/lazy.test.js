@@ -0,0 +1,69 @@
+import {
+  createComponent,
+  createRouter,
+  mountRouter,
+  navigateTo
+} from './helpers'
+
+describe('lazy components', () => {
+  let router
+  let loads
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    loads = 0
+
+    router = createRouter({
+      components: {
+        About: () => {
+          loads++
+          return Promise.resolve({ default: createComponent('about') })
+        }
+      },
+      routes: [
+        { name: 'home', path: '/', component: createComponent('home') },
+        { name: 'about', path: '/about', component: 'About' },
+        {
+          name: 'broken',
+          path: '/broken',
+          component: () => Promise.reject(new Error('Chunk failed'))
+        }
+      ]
+    })
+  })
+
+  afterEach(() => {
+    router.destroy()
+    console.error.mockRestore()
+  })
+
+  it('loads, mounts and caches components returning a promise', () => {
+    const loading = []
+    router.loadingChanged.add(isLoading => loading.push(isLoading))
+
+    return mountRouter(router)
+      .then(() => navigateTo(router, '/about'))
+      .then(() => {
+        expect(document.querySelector('#app .about')).not.toBe(null)
+        expect(loading).toEqual([true, false])
+
+        return navigateTo(router, '/')
+      })
+      .then(() => navigateTo(router, '/about'))
+      .then(() => expect(loads).toBe(1))
+  })
+
+  it('dispatches navigationFailed when loading fails', () => {
+    const failed = jest.fn()
+    router.navigationFailed.add(failed)
+
+    return mountRouter(router)
+      .then(() => navigateTo(router, '/broken'))
+      .then(route => {
+        expect(route.name).toBe('home')
+        expect(failed).toHaveBeenCalledTimes(1)
+        expect(failed.mock.calls[0][0].message).toBe('Chunk failed')
+        expect(router.isLoading).toBe(false)
+      })
+  })
+})
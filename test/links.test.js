@@ -0,0 +1,136 @@
+import Router from '../src/index'
+import { createComponent, wait } from './helpers'
+
+describe('links', () => {
+  let router
+
+  const click = (href, attributes = {}, eventInit = {}) => {
+    const anchor = document.createElement('a')
+    anchor.setAttribute('href', href)
+
+    Object.keys(attributes).forEach(name =>
+      anchor.setAttribute(name, attributes[name]))
+
+    document.querySelector('#app').appendChild(anchor)
+
+    const event = new window.MouseEvent('click', {
+      bubbles: true,
+      cancelable: true,
+      button: 0,
+      ...eventInit
+    })
+
+    // Stop unhandled clicks from reaching jsdom navigation
+    document.addEventListener('click', e => e.preventDefault(), {
+      once: true
+    })
+    const handled = jest.spyOn(event, 'preventDefault')
+
+    anchor.dispatchEvent(event)
+
+    return wait().then(() => handled.mock.calls.length > 1)
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    document.body.innerHTML = '<div id="app"></div>'
+    window.history.replaceState(null, '', '/app/')
+
+    router = new Router({
+      basePath: '/app',
+      routes: [
+        { name: 'home', path: '/', component: createComponent('home') },
+        { name: 'about', path: '/about', component: createComponent('about') }
+      ]
+    })
+
+    return router.mount('#app')
+  })
+
+  afterEach(() => {
+    router.destroy()
+    console.error.mockRestore()
+  })
+
+  it('handles same-origin links inserted at any time', () => {
+    return click('/app/about?a=1#top').then(handled => {
+      expect(handled).toBe(true)
+      expect(router.currentRoute.name).toBe('about')
+      expect(router.currentRoute.query).toEqual({ a: '1' })
+      expect(router.currentRoute.hash).toBe('#top')
+      expect(window.location.pathname).toBe('/app/about')
+    })
+  })
+
+  it('ignores modified and non primary button clicks', () => {
+    return Promise.all([
+      click('/app/about', {}, { ctrlKey: true }),
+      click('/app/about', {}, { metaKey: true }),
+      click('/app/about', {}, { shiftKey: true }),
+      click('/app/about', {}, { button: 1 })
+    ]).then(handled => {
+      expect(handled).toEqual([false, false, false, false])
+      expect(router.currentRoute.name).toBe('home')
+    })
+  })
+
+  it('ignores links opting out, opening elsewhere or downloading', () => {
+    return Promise.all([
+      click('/app/about', { target: '_blank' }),
+      click('/app/about', { download: '' }),
+      click('/app/about', { 'data-router-ignore': '' }),
+      click('/app/about', { rel: 'external' }),
+      click('https://example.com/app/about')
+    ]).then(handled => {
+      expect(handled).toEqual([false, false, false, false, false])
+      expect(router.currentRoute.name).toBe('home')
+    })
+  })
+
+  it('ignores links outside the base path', () => {
+    return Promise.all([
+      click('/application'),
+      click('/other/about')
+    ]).then(handled => {
+      expect(handled).toEqual([false, false])
+      expect(router.currentRoute.name).toBe('home')
+      expect(router.lastRoute.name).toBe('home')
+    })
+  })
+
+  it('handles failed navigations of links', () => {
+    const unhandled = jest.fn()
+
+    process.on('unhandledRejection', unhandled)
+    jest.spyOn(router, 'navigate').mockImplementation(() =>
+      Promise.reject(new Error('Failed navigation')))
+
+    return click('/app/about')
+      .then(handled => {
+        expect(handled).toBe(true)
+        return wait(10)
+      })
+      .then(() => {
+        process.removeListener('unhandledRejection', unhandled)
+        expect(unhandled).not.toHaveBeenCalled()
+      })
+  })
+
+  it('does not navigate again on links to the current route', () => {
+    return click('/app/').then(handled => {
+      expect(handled).toBe(true)
+      expect(router.currentRoute.name).toBe('home')
+      expect(console.error).not.toHaveBeenCalled()
+    })
+  })
+
+  it('stops handling links once destroyed', () => {
+    router.destroy()
+
+    return click('/app/about').then(handled => {
+      expect(handled).toBe(false)
+      expect(router.currentRoute).toBe(null)
+    })
+  })
+})
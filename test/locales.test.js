@@ -0,0 +1,87 @@
+import Router from '../src/index'
+import { createComponent, createRouter } from './helpers'
+
+describe('locales', () => {
+  let router
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    router = createRouter({
+      locales: ['en', 'fr'],
+      routes: [
+        { name: 'home', path: '/', component: createComponent('home') },
+        {
+          name: 'about',
+          path: { en: '/about', fr: '/a-propos' },
+          component: createComponent('about')
+        }
+      ]
+    })
+  })
+
+  afterEach(() => {
+    router.destroy()
+    console.error.mockRestore()
+  })
+
+  it('detects the locale of the first location', () => {
+    router.history.replace('/fr/a-propos')
+
+    return router.mount('#app').then(route => {
+      expect(route.name).toBe('about')
+      expect(route.locale).toBe('fr')
+      expect(router.locale).toBe('fr')
+    })
+  })
+
+  it('matches translated paths of the locale only', () => {
+    expect.assertions(2)
+
+    return router.mount('#app')
+      .then(() => router.navigate('/en/about'))
+      .then(route => {
+        expect(route.name).toBe('about')
+        return router.navigate('/en/a-propos')
+      })
+      .catch(failure => {
+        expect(Router.isNavigationFailure(failure,
+          Router.NOT_FOUND_FAILURE)).toBe(true)
+      })
+  })
+
+  it('navigates to the current route in the new locale', () => {
+    const localeChanged = jest.fn()
+    const routeChanged = jest.fn()
+
+    router.localeChanged.add(localeChanged)
+    router.routeChanged.add(routeChanged)
+
+    return router.mount('#app')
+      .then(() => router.navigate({ name: 'about' }))
+      .then(() => {
+        localeChanged.mockClear()
+        routeChanged.mockClear()
+        return router.setLocale('fr')
+      })
+      .then(route => {
+        expect(route.name).toBe('about')
+        expect(route.path).toBe('/a-propos')
+        expect(router.history.location.pathname).toBe('/fr/a-propos')
+        expect(localeChanged).toHaveBeenCalledWith('fr', 'en')
+        expect(routeChanged).toHaveBeenCalledTimes(1)
+        expect(router.href({ name: 'about', locale: 'en' })).toBe('/en/about')
+      })
+  })
+
+  it('rejects unsupported locales', () => {
+    expect.assertions(2)
+
+    return router.mount('#app')
+      .then(() => router.setLocale('de'))
+      .catch(error => {
+        expect(error.message).toMatch(/Unsupported locale/)
+        expect(router.locale).toBe('en')
+      })
+  })
+})
@@ -0,0 +1,171 @@
+import Router from '../src/index'
+import { createComponent, wait } from './helpers'
+
+describe('modal routes', () => {
+  let router
+  let log
+  let leave
+
+  const createModalRouter = () => new Router({
+    routes: [
+      { name: 'home', path: '/', component: createComponent('home', { log }) },
+      { name: 'about', path: '/about', component: createComponent('about', { log }) },
+      {
+        name: 'product',
+        path: '/product/:id',
+        component: createComponent('product', {
+          log,
+          $leave: () => leave()
+        })
+      }
+    ]
+  })
+
+  const pop = go => {
+    const changed = new Promise(resolve =>
+      router.routeChanged.once(() => wait().then(resolve)))
+
+    go()
+
+    return changed
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    log = []
+    leave = () => Promise.resolve()
+    document.body.innerHTML = '<div id="app"></div><div data-router-modal></div>'
+    window.history.replaceState(null, '', '/')
+
+    router = createModalRouter()
+
+    return router.mount('#app')
+  })
+
+  afterEach(() => {
+    router.destroy()
+    console.error.mockRestore()
+  })
+
+  it('mounts the route over the page which stays mounted', () => {
+    return router.navigate({ path: '/product/42', background: true })
+      .then(route => {
+        expect(route.background.name).toBe('home')
+        expect(router.backgroundRoute).toBe(route.background)
+        expect(window.location.pathname).toBe('/product/42')
+        expect(document.querySelector('#app .home')).not.toBe(null)
+        expect(document.querySelector('[data-router-modal] .product'))
+          .not.toBe(null)
+        expect(log).not.toContain('home:destroy')
+      })
+  })
+
+  it('closes and reopens the modal on back and forward', () => {
+    return router.navigate({ path: '/product/42', background: true })
+      .then(() => pop(() => window.history.back()))
+      .then(() => {
+        expect(router.currentRoute.name).toBe('home')
+        expect(router.backgroundRoute).toBe(null)
+        expect(document.querySelector('[data-router-modal] .product'))
+          .toBe(null)
+        expect(log.filter(entry => entry === 'home:mount')).toHaveLength(1)
+
+        return pop(() => window.history.forward())
+      })
+      .then(() => {
+        expect(router.currentRoute.name).toBe('product')
+        expect(router.backgroundRoute.name).toBe('home')
+        expect(document.querySelector('[data-router-modal] .product'))
+          .not.toBe(null)
+        expect(log.filter(entry => entry === 'home:mount')).toHaveLength(1)
+      })
+  })
+
+  it('closes the modal when navigating to another page', () => {
+    return router.navigate({ path: '/product/42', background: true })
+      .then(() => router.navigate('/about'))
+      .then(route => {
+        expect(route.background).toBe(null)
+        expect(document.querySelector('[data-router-modal] .product'))
+          .toBe(null)
+        expect(document.querySelector('#app .about')).not.toBe(null)
+        expect(log).toContain('product:destroy')
+        expect(log).toContain('home:destroy')
+
+        return pop(() => window.history.back())
+      })
+      .then(() => {
+        expect(router.currentRoute.name).toBe('product')
+        expect(router.backgroundRoute.name).toBe('home')
+        expect(document.querySelector('#app .home')).not.toBe(null)
+        expect(document.querySelector('[data-router-modal] .product'))
+          .not.toBe(null)
+      })
+  })
+
+  it('restores the modal over its page on reload', () => {
+    return router.navigate({ path: '/product/42', background: true })
+      .then(() => {
+        router.destroy()
+        document.body.innerHTML = '<div id="app"></div><div data-router-modal></div>'
+
+        router = createModalRouter()
+
+        return router.mount('#app')
+      })
+      .then(route => {
+        expect(route.name).toBe('product')
+        expect(route.background.name).toBe('home')
+        expect(document.querySelector('#app .home')).not.toBe(null)
+        expect(document.querySelector('[data-router-modal] .product'))
+          .not.toBe(null)
+      })
+  })
+
+  it('renders the route as a page when loaded without state', () => {
+    router.destroy()
+    window.history.replaceState(null, '', '/product/42')
+    document.body.innerHTML = '<div id="app"></div><div data-router-modal></div>'
+
+    router = createModalRouter()
+
+    return router.mount('#app').then(route => {
+      expect(route.name).toBe('product')
+      expect(route.background).toBe(null)
+      expect(document.querySelector('#app .product')).not.toBe(null)
+      expect(document.querySelector('[data-router-modal]').children)
+        .toHaveLength(0)
+    })
+  })
+
+  it('stops the running transition on destroy', () => {
+    expect.assertions(3)
+
+    let release = null
+
+    return router.navigate({ path: '/product/1', background: true })
+      .then(() => {
+        leave = () => new Promise(resolve => { release = resolve })
+
+        const pending = router.navigate({ path: '/product/2', background: true })
+
+        return wait().then(() => {
+          router.destroy()
+          release()
+
+          return pending
+        })
+      })
+      .catch(failure => {
+        expect(Router.isNavigationFailure(failure, Router.ABORTED_FAILURE))
+          .toBe(true)
+        expect(log.filter(entry => /^product/.test(entry))).toEqual([
+          'product:create', 'product:mount', 'product:create',
+          'product:destroy', 'product:destroy'
+        ])
+        expect(document.querySelector('[data-router-modal]').children)
+          .toHaveLength(0)
+      })
+  })
+})
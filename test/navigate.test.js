@@ -0,0 +1,174 @@
+import Router from '../src/index'
+import { createComponent, createRouter, wait } from './helpers'
+
+describe('navigate', () => {
+  let router
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    router = createRouter({
+      routes: [
+        { name: 'home', path: '/', component: createComponent('home') },
+        { name: 'about', path: '/about', component: createComponent('about') },
+        {
+          name: 'private',
+          path: '/private',
+          component: createComponent('private'),
+          beforeEnter: () => '/about'
+        },
+        {
+          name: 'broken',
+          path: '/broken',
+          redirect: () => { throw new Error('Broken redirect') }
+        }
+      ]
+    })
+  })
+
+  afterEach(() => {
+    router.destroy()
+    console.error.mockRestore()
+  })
+
+  it('resolves with the new route', () => {
+    return router.mount('#app')
+      .then(() => router.navigate('/about'))
+      .then(route => {
+        expect(route.name).toBe('about')
+        expect(router.currentRoute).toBe(route)
+        expect(document.querySelector('#app .about')).not.toBe(null)
+      })
+  })
+
+  it('rejects with a cancelled failure when a guard cancels', () => {
+    expect.assertions(3)
+
+    router.beforeEach = (from, to, next) => next(to.name !== 'about')
+
+    return router.mount('#app')
+      .then(() => router.navigate('/about'))
+      .catch(failure => {
+        expect(Router.isNavigationFailure(failure,
+          Router.CANCELLED_FAILURE)).toBe(true)
+        expect(failure.to.name).toBe('about')
+        expect(router.currentRoute.name).toBe('home')
+      })
+  })
+
+  it('rejects with a duplicated failure on the same route', () => {
+    expect.assertions(1)
+
+    return router.mount('#app')
+      .then(() => router.navigate('/'))
+      .catch(failure => {
+        expect(Router.isNavigationFailure(failure,
+          Router.DUPLICATED_FAILURE)).toBe(true)
+      })
+  })
+
+  it('rejects with a redirected failure when a guard redirects', () => {
+    expect.assertions(2)
+
+    return router.mount('#app')
+      .then(() => router.navigate('/private'))
+      .catch(failure => {
+        expect(Router.isNavigationFailure(failure,
+          Router.REDIRECTED_FAILURE)).toBe(true)
+        return wait()
+      })
+      .then(() => expect(router.currentRoute.name).toBe('about'))
+  })
+
+  it('rejects with a not found failure without matching route', () => {
+    expect.assertions(2)
+
+    return router.mount('#app')
+      .then(() => router.navigate('/unknown'))
+      .catch(failure => {
+        expect(Router.isNavigationFailure(failure,
+          Router.NOT_FOUND_FAILURE)).toBe(true)
+        expect(failure.to.path).toBe('/unknown')
+      })
+  })
+
+  it('rejects with an aborted failure when a newer navigation starts', () => {
+    expect.assertions(2)
+
+    return router.mount('#app').then(() => {
+      const first = router.navigate('/about')
+        .catch(failure => {
+          expect(Router.isNavigationFailure(failure,
+            Router.ABORTED_FAILURE)).toBe(true)
+        })
+
+      return Promise.all([first, router.navigate('/private')
+        .catch(() => wait())])
+    }).then(() => expect(router.currentRoute.name).toBe('about'))
+  })
+
+  it('rejects instead of throwing when navigation cannot start', () => {
+    expect.assertions(3)
+
+    return router.mount('#app').then(() => {
+      let promise = null
+
+      expect(() => { promise = router.navigate('/broken') }).not.toThrow()
+
+      return promise.catch(error => {
+        expect(error.message).toBe('Broken redirect')
+        expect(router.currentRoute.name).toBe('home')
+      })
+    })
+  })
+
+  it('returns promises from replace, back and forward', () => {
+    return router.mount('#app')
+      .then(() => router.navigate('/about'))
+      .then(() => router.back())
+      .then(route => {
+        expect(route.name).toBe('home')
+        return router.forward()
+      })
+      .then(route => {
+        expect(route.name).toBe('about')
+        return router.replace('/')
+      })
+      .then(route => {
+        expect(route.name).toBe('home')
+        expect(router.history.length).toBe(2)
+      })
+  })
+
+  it('rejects back and forward without history entry', () => {
+    expect.assertions(3)
+
+    return router.mount('#app')
+      .then(() => router.back())
+      .catch(failure => {
+        expect(Router.isNavigationFailure(failure,
+          Router.CANCELLED_FAILURE)).toBe(true)
+        return router.go(2)
+      })
+      .catch(failure => {
+        expect(Router.isNavigationFailure(failure,
+          Router.CANCELLED_FAILURE)).toBe(true)
+        expect(router.currentRoute.name).toBe('home')
+      })
+  })
+
+  it('rejects back when the pop stays on the current entry', () => {
+    expect.assertions(1)
+
+    return router.mount('#app')
+      .then(() => {
+        // History without canGo, which stays on the first entry
+        router.history.canGo = undefined
+        return router.back()
+      })
+      .catch(failure => {
+        expect(Router.isNavigationFailure(failure,
+          Router.CANCELLED_FAILURE)).toBe(true)
+      })
+  })
+})
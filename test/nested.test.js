@@ -0,0 +1,105 @@
+import {
+  createComponent,
+  createRouter,
+  mountRouter,
+  navigateTo
+} from './helpers'
+
+describe('nested routes', () => {
+  let router
+  let log
+
+  beforeEach(() => {
+    log = []
+    router = createRouter({
+      components: {
+        Shop: createComponent('shop', {
+          log,
+          template: '<main data-router-view></main>'
+        }),
+        Product: createComponent('product', { log }),
+        Home: createComponent('home', { log })
+      },
+      routes: [{
+        name: 'shop',
+        path: '/shop/:category',
+        component: 'Shop',
+        children: [{
+          name: 'product',
+          path: ':product',
+          component: 'Product'
+        }]
+      }, {
+        name: 'home',
+        path: '/',
+        component: 'Home'
+      }]
+    })
+  })
+
+  afterEach(() => router.destroy())
+
+  it('mounts each matched component into the view of its parent', () => {
+    return mountRouter(router)
+      .then(() => navigateTo(router, '/shop/shoes/42'))
+      .then(route => {
+        expect(route.matched.map(({ name }) => name))
+          .toEqual(['shop', 'product'])
+        expect(route.params).toEqual({ category: 'shoes', product: '42' })
+        expect(route.instances).toHaveLength(2)
+        expect(document.querySelector('#app .shop [data-router-view] .product'))
+          .not.toBe(null)
+      })
+  })
+
+  it('keeps the parent instance when only the child segment changes', () => {
+    return mountRouter(router)
+      .then(() => navigateTo(router, '/shop/shoes/42'))
+      .then(() => {
+        log.length = 0
+        return navigateTo(router, '/shop/shoes/43')
+      })
+      .then(route => {
+        expect(log).toEqual([
+          'product:create',
+          'product:destroy',
+          'product:mount'
+        ])
+        expect(document.querySelectorAll('#app .shop')).toHaveLength(1)
+        expect(document.querySelectorAll('#app .product')).toHaveLength(1)
+      })
+  })
+
+  it('recreates the parent instance when its params change', () => {
+    return mountRouter(router)
+      .then(() => navigateTo(router, '/shop/shoes/42'))
+      .then(() => {
+        log.length = 0
+        return navigateTo(router, '/shop/hats/42')
+      })
+      .then(() => {
+        expect(log).toEqual([
+          'shop:create',
+          'product:create',
+          'product:destroy',
+          'shop:destroy',
+          'shop:mount',
+          'product:mount'
+        ])
+      })
+  })
+
+  it('destroys left instances once, even with a custom beforeEach', () => {
+    router.beforeEach = (from, to, next) => next()
+
+    return mountRouter(router)
+      .then(() => navigateTo(router, '/shop/shoes/42'))
+      .then(() => navigateTo(router, '/'))
+      .then(() => {
+        expect(log.filter(entry => entry === 'shop:destroy')).toHaveLength(1)
+        expect(log.filter(entry => entry === 'product:destroy'))
+          .toHaveLength(1)
+        expect(document.querySelector('#app .shop')).toBe(null)
+      })
+  })
+})
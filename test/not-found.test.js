@@ -0,0 +1,88 @@
+import {
+  createComponent,
+  createRouter,
+  mountRouter,
+  navigateTo
+} from './helpers'
+
+describe('not found', () => {
+  let router
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    router.destroy()
+    console.error.mockRestore()
+  })
+
+  it('navigates to the notFound route with the unmatched path', () => {
+    router = createRouter({
+      notFound: { name: 'not-found', component: createComponent('not-found') },
+      routes: [{ name: 'home', path: '/', component: createComponent('home') }]
+    })
+
+    return mountRouter(router)
+      .then(() => navigateTo(router, '/missing/page'))
+      .then(route => {
+        expect(route.name).toBe('not-found')
+        expect(route.params.pathMatch).toBe('/missing/page')
+        expect(document.querySelector('#app .not-found')).not.toBe(null)
+        expect(router.history.location.pathname).toBe('/missing/page')
+      })
+  })
+
+  it('gives catch-all routes the lowest priority', () => {
+    router = createRouter({
+      routes: [
+        { name: 'all', path: '*', component: createComponent('all') },
+        {
+          name: 'docs',
+          path: '/docs',
+          component: createComponent('docs', {
+            template: '<div data-router-view></div>'
+          }),
+          children: [{
+            name: 'docs-all',
+            path: '(.*)',
+            component: createComponent('docs-all')
+          }]
+        },
+        { name: 'home', path: '/', component: createComponent('home') }
+      ]
+    })
+
+    return mountRouter(router)
+      .then(route => {
+        expect(route.name).toBe('home')
+        return navigateTo(router, '/docs/missing')
+      })
+      .then(route => {
+        expect(route.name).toBe('docs-all')
+        return navigateTo(router, '/missing')
+      })
+      .then(route => expect(route.name).toBe('all'))
+  })
+
+  it('dispatches navigationFailed without matching route', () => {
+    router = createRouter({
+      routes: [{ name: 'home', path: '/', component: createComponent('home') }]
+    })
+
+    const failed = jest.fn()
+    router.navigationFailed.add(failed)
+
+    return mountRouter(router)
+      .then(() => navigateTo(router, '/missing'))
+      .then(route => {
+        const [error, from, to] = failed.mock.calls[0]
+
+        expect(failed).toHaveBeenCalledTimes(1)
+        expect(error.message).toMatch(/No matching route/)
+        expect(from).toBe(route)
+        expect(to.path).toBe('/missing')
+        expect(route.name).toBe('home')
+      })
+  })
+})
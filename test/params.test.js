@@ -0,0 +1,109 @@
+import { createComponent, createRouter } from './helpers'
+
+describe('param types', () => {
+  let router
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    router = createRouter({
+      routes: [
+        { name: 'home', path: '/', component: createComponent('home') },
+        {
+          name: 'post',
+          path: '/post/:id/:status',
+          params: { id: 'int', status: ['draft', 'published'] },
+          component: createComponent('post')
+        },
+        {
+          name: 'price',
+          path: '/price/:amount',
+          params: { amount: 'float' },
+          component: createComponent('price')
+        },
+        {
+          name: 'item',
+          path: '/item/:uuid',
+          params: { uuid: 'uuid' },
+          component: createComponent('item')
+        },
+        {
+          name: 'tag',
+          path: '/tag/:slug',
+          params: {
+            slug: {
+              pattern: /^[a-z]+$/,
+              parse: value => value.toUpperCase(),
+              serialize: value => value.toLowerCase()
+            }
+          },
+          component: createComponent('tag')
+        },
+        {
+          name: 'fallback',
+          path: '/post/:slug/:status',
+          component: createComponent('fallback')
+        }
+      ]
+    })
+
+    return router.mount('#app')
+  })
+
+  afterEach(() => {
+    router.destroy()
+    console.error.mockRestore()
+  })
+
+  it('coerces params on route.params', () => {
+    return router.navigate('/post/12/draft')
+      .then(route => {
+        expect(route.name).toBe('post')
+        expect(route.params).toEqual({ id: 12, status: 'draft' })
+      })
+      .then(() => router.navigate('/price/-1.5'))
+      .then(route => expect(route.params).toEqual({ amount: -1.5 }))
+      .then(() => router.navigate('/item/123e4567-e89b-12d3-a456-426614174000'))
+      .then(route => expect(route.name).toBe('item'))
+      .then(() => router.navigate('/tag/news'))
+      .then(route => expect(route.params).toEqual({ slug: 'NEWS' }))
+  })
+
+  it('falls through to the next routes when params are invalid', () => {
+    return router.navigate('/post/abc/draft')
+      .then(route => {
+        expect(route.name).toBe('fallback')
+        expect(route.params).toEqual({ slug: 'abc', status: 'draft' })
+      })
+      .then(() => router.navigate('/post/12/archived'))
+      .then(route => expect(route.name).toBe('fallback'))
+  })
+
+  it('rejects invalid params of routes without fall through', () => {
+    expect.assertions(1)
+
+    return router.navigate('/item/not-an-uuid')
+      .catch(error => expect(error.type).toBe('notFound'))
+  })
+
+  it('serializes typed params when building URLs', () => {
+    expect(router.href({ name: 'post', params: { id: 3, status: 'published' } }))
+      .toBe('/post/3/published')
+    expect(router.href({ name: 'tag', params: { slug: 'NEWS' } }))
+      .toBe('/tag/news')
+    expect(router.href({ name: 'post', params: { id: 'x', status: 'draft' } }))
+      .toBe(null)
+  })
+
+  it('keeps typed path params when navigating with params', () => {
+    return router.navigate({
+      name: 'post',
+      params: { id: '5', status: 'draft', extra: 'value' }
+    })
+      .then(route => {
+        expect(route.params.id).toBe(5)
+        expect(route.params.status).toBe('draft')
+        expect(route.params.extra).toBe('value')
+      })
+  })
+})
@@ -0,0 +1,202 @@
+import Router from '../src/index'
+import { createComponent, createRouter, wait } from './helpers'
+
+describe('plugins', () => {
+  let router
+  let log
+
+  const createPlugin = (name, hooks = {}) => (router, options) => {
+    log.push(`${name}:install:${options.flag}`)
+
+    return {
+      resolve: (from, to) => log.push(`${name}:resolve:${to.name}`),
+      guard: (from, to, next) => {
+        log.push(`${name}:guard:${to.name}`)
+        next()
+      },
+      load: (from, to) => log.push(`${name}:load:${to.name}`),
+      commit: (from, to) => log.push(`${name}:commit:${to.name}`),
+      mount: (from, to) => log.push(`${name}:mount:${to.name}`),
+      destroy: () => log.push(`${name}:destroy`),
+      ...hooks
+    }
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    log = []
+    router = createRouter({
+      routes: [
+        { name: 'home', path: '/', component: createComponent('home', { log }) },
+        {
+          name: 'admin',
+          path: '/admin',
+          requiresAuth: true,
+          component: createComponent('admin', {
+            log,
+            template: '<div data-router-view></div>'
+          }),
+          children: [{
+            name: 'login',
+            path: 'login',
+            requiresAuth: false,
+            component: createComponent('login', { log })
+          }, {
+            name: 'users',
+            path: 'users',
+            component: createComponent('users', { log })
+          }]
+        }
+      ]
+    })
+  })
+
+  afterEach(() => {
+    router.destroy()
+    console.error.mockRestore()
+  })
+
+  it('calls hooks of plugins in registration order', () => {
+    router.use(createPlugin('a'), { flag: 1 })
+    router.use({ install: createPlugin('b') }, { flag: 2 })
+
+    return router.mount('#app').then(() => {
+      expect(log).toEqual([
+        'a:install:1',
+        'b:install:2',
+        'a:resolve:home',
+        'b:resolve:home',
+        'a:guard:home',
+        'b:guard:home',
+        'a:load:home',
+        'b:load:home',
+        'home:create',
+        'a:commit:home',
+        'b:commit:home',
+        'home:mount',
+        'a:mount:home',
+        'b:mount:home'
+      ])
+    })
+  })
+
+  it('sets fields from the deepest matched route defining them', () => {
+    router.use(() => ({ fields: { requiresAuth: false } }))
+
+    return router.mount('#app')
+      .then(route => {
+        expect(route.requiresAuth).toBe(false)
+        return router.navigate('/admin/users')
+      })
+      .then(route => {
+        expect(route.requiresAuth).toBe(true)
+        return router.navigate('/admin/login')
+      })
+      .then(route => expect(route.requiresAuth).toBe(false))
+  })
+
+  it('redirects from the guard hook', () => {
+    expect.assertions(3)
+
+    let isLogged = false
+
+    router.use(() => ({
+      fields: { requiresAuth: false },
+      guard: (from, to, next) =>
+        next(!to.requiresAuth || isLogged || '/admin/login')
+    }))
+
+    return router.mount('#app')
+      .then(() => router.navigate('/admin/users'))
+      .catch(failure => {
+        expect(Router.isNavigationFailure(failure,
+          Router.REDIRECTED_FAILURE)).toBe(true)
+        return wait(10)
+      })
+      .then(() => {
+        expect(router.currentRoute.name).toBe('login')
+        isLogged = true
+        return router.navigate('/admin/users')
+      })
+      .then(route => expect(route.name).toBe('users'))
+  })
+
+  it('waits for promises of the load hook', () => {
+    let release = null
+
+    router.use(() => ({
+      load: () => new Promise(resolve => { release = resolve })
+    }))
+
+    const mounted = router.mount('#app')
+
+    return wait(10)
+      .then(() => {
+        expect(release).not.toBe(null)
+        expect(log).not.toContain('home:mount')
+        release()
+        return mounted
+      })
+      .then(() => expect(log).toContain('home:mount'))
+  })
+
+  it('destroys plugins when removed or when the router is destroyed', () => {
+    const removeA = router.use(createPlugin('a'), {})
+
+    router.use(createPlugin('b'), {})
+    removeA()
+    removeA()
+
+    expect(log.filter(entry => /destroy/.test(entry))).toEqual(['a:destroy'])
+
+    return router.mount('#app').then(() => {
+      expect(log).not.toContain('a:resolve:home')
+      router.destroy()
+      expect(log.filter(entry => /destroy/.test(entry)))
+        .toEqual(['a:destroy', 'b:destroy', 'home:destroy'])
+    })
+  })
+
+  it('rejects when a resolve hook throws', () => {
+    expect.assertions(3)
+
+    router.use(() => ({
+      resolve: (from, to) => {
+        if (to.name === 'users') {
+          throw new Error('Broken plugin')
+        }
+      }
+    }))
+
+    return router.mount('#app').then(() => {
+      let promise = null
+
+      expect(() => { promise = router.navigate('/admin/users') }).not.toThrow()
+
+      return promise
+    })
+      .catch(error => {
+        expect(error.message).toBe('Broken plugin')
+        expect(router.currentRoute.name).toBe('home')
+      })
+  })
+
+  it('mounts the page when a commit hook throws', () => {
+    router.use(() => ({
+      commit: () => { throw new Error('Broken plugin') }
+    }))
+    router.use(createPlugin('a'), {})
+
+    return router.mount('#app')
+      .then(() => router.navigate('/admin/users'))
+      .then(route => {
+        expect(route.name).toBe('users')
+        expect(router.history.location.pathname).toBe('/admin/users')
+        expect(document.querySelector('#app .admin .users')).not.toBe(null)
+        expect(log).toContain('a:commit:users')
+        expect(console.error).toHaveBeenCalledWith(
+          'Router.use : Error in commit hook : Broken plugin')
+      })
+  })
+})
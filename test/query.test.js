@@ -0,0 +1,75 @@
+import Router from '../src/index'
+import {
+  createComponent,
+  createRouter,
+  mountRouter,
+  navigateTo
+} from './helpers'
+
+const components = {
+  Home: createComponent('home'),
+  Search: createComponent('search')
+}
+const routes = [
+  { name: 'home', path: '/', component: 'Home' },
+  { name: 'search', path: '/search', component: 'Search' }
+]
+
+describe('query', () => {
+  let router
+
+  afterEach(() => router.destroy())
+
+  it('parses the query of the first location', () => {
+    window.history.replaceState(null, '', '/search?q=100%&tags=a&tags=b')
+    document.body.innerHTML = '<div id="app"></div>'
+    router = new Router({ components, routes })
+
+    return mountRouter(router).then(route => {
+      expect(route.query).toEqual({ q: '100%', tags: ['a', 'b'] })
+    })
+  })
+
+  it('serializes query objects and parses them like URLs', () => {
+    router = createRouter({ components, routes })
+
+    return mountRouter(router)
+      .then(() => navigateTo(router, {
+        path: '/search',
+        query: { page: 2, tags: ['a', 'b'] }
+      }))
+      .then(route => {
+        expect(route.query).toEqual({ page: '2', tags: ['a', 'b'] })
+        expect(router.history.location.search).toBe('?page=2&tags=a&tags=b')
+      })
+  })
+
+  it('takes query into account when comparing routes', () => {
+    let current = null
+
+    router = createRouter({ components, routes, compareQuery: true })
+
+    return mountRouter(router)
+      .then(() => navigateTo(router, { path: '/search', query: { page: 2 } }))
+      .then(() => navigateTo(router, { path: '/search', query: { page: 3 } }))
+      .then(route => {
+        expect(route.query).toEqual({ page: '3' })
+        current = route
+
+        return navigateTo(router, { path: '/search', query: { page: '3' } })
+      })
+      .then(route => expect(route).toBe(current))
+  })
+
+  it('uses the configured array format', () => {
+    router = createRouter({ components, routes, queryArrayFormat: 'bracket' })
+
+    return mountRouter(router)
+      .then(() => navigateTo(router, { path: '/search', query: 'tags[]=a' }))
+      .then(route => {
+        expect(route.query).toEqual({ tags: ['a'] })
+        expect(router.href({ path: '/search', query: { tags: ['a', 'b'] } }))
+          .toBe('/search?tags[]=a&tags[]=b')
+      })
+  })
+})
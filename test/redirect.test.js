@@ -0,0 +1,153 @@
+import {
+  createComponent,
+  createRouter,
+  mountRouter,
+  navigateTo
+} from './helpers'
+
+describe('redirects and aliases', () => {
+  let router
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    router = createRouter({
+      routes: [
+        {
+          name: 'home',
+          path: '/',
+          alias: ['/home', '/index'],
+          component: createComponent('home')
+        },
+        {
+          name: 'article',
+          path: '/articles/:slug',
+          component: createComponent('article')
+        },
+        {
+          name: 'shop',
+          path: '/shop',
+          alias: '/store',
+          component: createComponent('shop', {
+            template: '<div data-router-view></div>'
+          }),
+          children: [{
+            name: 'item',
+            path: ':id',
+            component: createComponent('item')
+          }]
+        },
+        { name: 'old-blog', path: '/old-blog/:slug', redirect: '/articles/:slug' },
+        {
+          name: 'blog',
+          path: '/blog/:slug',
+          redirect: { name: 'article' }
+        },
+        {
+          name: 'latest',
+          path: '/latest',
+          redirect: route => ({
+            name: 'article',
+            params: { slug: 'latest' },
+            query: route.query
+          })
+        },
+        { name: 'loop-a', path: '/loop-a', redirect: '/loop-b' },
+        { name: 'loop-b', path: '/loop-b', redirect: '/loop-a' },
+        {
+          name: 'broken',
+          path: '/broken',
+          redirect: () => { throw new Error('Broken redirect') }
+        }
+      ]
+    })
+  })
+
+  afterEach(() => {
+    router.destroy()
+    console.error.mockRestore()
+  })
+
+  it('redirects to a path built with the matched params', () => {
+    return mountRouter(router)
+      .then(() => navigateTo(router, '/old-blog/hello'))
+      .then(route => {
+        expect(route.name).toBe('article')
+        expect(route.params.slug).toBe('hello')
+        expect(route.redirectedFrom).toBe('/old-blog/hello')
+        expect(router.history.location.pathname).toBe('/articles/hello')
+      })
+  })
+
+  it('redirects to a name or the result of a function', () => {
+    return mountRouter(router)
+      .then(() => navigateTo(router, '/blog/hello'))
+      .then(route => {
+        expect(route.path).toBe('/articles/hello')
+        return navigateTo(router, { path: '/latest', query: { page: 2 } })
+      })
+      .then(route => {
+        expect(route.path).toBe('/articles/latest')
+        expect(route.query).toEqual({ page: '2' })
+      })
+  })
+
+  it('stops on redirect loops', () => {
+    return mountRouter(router)
+      .then(() => navigateTo(router, '/loop-a'))
+      .then(route => {
+        expect(route.name).toBe('home')
+        expect(console.error).toHaveBeenCalledWith(
+          expect.stringMatching(/Redirect loop/))
+      })
+  })
+
+  it('rejects when a redirect function throws', () => {
+    expect.assertions(2)
+
+    return router.mount('#app').then(() => {
+      let promise = null
+
+      expect(() => { promise = router.navigate('/broken') }).not.toThrow()
+
+      return promise.catch(error => {
+        expect(error.message).toBe('Broken redirect')
+      })
+    })
+  })
+
+  it('matches aliases with the same route', () => {
+    return mountRouter(router)
+      .then(() => navigateTo(router, '/articles/hello'))
+      .then(() => navigateTo(router, '/index'))
+      .then(route => {
+        expect(route.name).toBe('home')
+        expect(router.history.location.pathname).toBe('/index')
+      })
+  })
+
+  it('matches children of aliases, names resolve to the route path', () => {
+    expect(router.routeData
+      .filter(({ isAlias }) => isAlias)
+      .map(({ path }) => path)).toEqual(['/home', '/index', '/store/:id',
+      '/store'])
+    expect(router.href({ name: 'item', params: { id: 1 } })).toBe('/shop/1')
+
+    return mountRouter(router)
+      .then(() => navigateTo(router, '/store/1'))
+      .then(route => {
+        expect(route.name).toBe('item')
+        expect(document.querySelector('#app .shop .item')).not.toBe(null)
+      })
+  })
+
+  it('replaces the first location when it redirects', () => {
+    router.history.replace('/old-blog/hello')
+
+    return mountRouter(router).then(route => {
+      expect(route.name).toBe('article')
+      expect(router.history.length).toBe(1)
+      expect(router.history.location.pathname).toBe('/articles/hello')
+    })
+  })
+})
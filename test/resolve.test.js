@@ -0,0 +1,65 @@
+import {
+  createComponent,
+  createRouter,
+  mountRouter,
+  navigateTo
+} from './helpers'
+
+describe('reverse routing', () => {
+  let router
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    router = createRouter({
+      basePath: '/app',
+      components: {
+        Home: createComponent('home'),
+        User: createComponent('user')
+      },
+      routes: [
+        { name: 'home', path: '/', component: 'Home' },
+        { name: 'user', path: '/user/:id(\\d+)', component: 'User' }
+      ]
+    })
+  })
+
+  afterEach(() => {
+    router.destroy()
+    console.error.mockRestore()
+  })
+
+  it('builds the path of a named route from its params', () => {
+    expect(router.resolve({
+      name: 'user',
+      params: { id: 1 },
+      query: 'tab=posts',
+      hash: 'top'
+    })).toMatchObject({
+      name: 'user',
+      path: '/user/1',
+      params: { id: 1 },
+      hash: '#top',
+      href: '/app/user/1?tab=posts#top'
+    })
+    expect(router.href({ name: 'user', params: { id: 1 } }))
+      .toBe('/app/user/1')
+  })
+
+  it('returns null for missing or invalid params and unknown names', () => {
+    expect(router.href({ name: 'user' })).toBe(null)
+    expect(router.href({ name: 'user', params: { id: 'abc' } })).toBe(null)
+    expect(router.href({ name: 'unknown' })).toBe(null)
+    expect(console.error).toHaveBeenCalledTimes(3)
+  })
+
+  it('navigates to named routes with params', () => {
+    return mountRouter(router)
+      .then(() => navigateTo(router, { name: 'user', params: { id: 2 } }))
+      .then(route => {
+        expect(route.path).toBe('/user/2')
+        expect(route.params.id).toBe('2')
+        expect(router.history.location.pathname).toBe('/user/2')
+      })
+  })
+})
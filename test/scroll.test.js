@@ -0,0 +1,84 @@
+import { createComponent, createRouter, wait } from './helpers'
+
+describe('scroll behavior', () => {
+  let router
+  let scrollBehavior
+  let scrollTo
+
+  beforeEach(() => {
+    scrollTo = window.scrollTo
+    window.scrollTo = jest.fn((x, y) => {
+      window.pageXOffset = x
+      window.pageYOffset = y
+    })
+    window.scrollTo(0, 0)
+    window.scrollTo.mockClear()
+
+    scrollBehavior = jest.fn((to, from, savedPosition) =>
+      savedPosition || { x: 0, y: 0 })
+
+    router = createRouter({
+      scrollBehavior: (...args) => scrollBehavior(...args),
+      routes: [
+        { name: 'home', path: '/', component: createComponent('home') },
+        {
+          name: 'about',
+          path: '/about',
+          component: createComponent('about', {
+            template: '<h2 id="team">Team</h2>'
+          })
+        }
+      ]
+    })
+  })
+
+  afterEach(() => {
+    router.destroy()
+    window.scrollTo = scrollTo
+  })
+
+  it('restores the saved position of history entries', () => {
+    return router.mount('#app')
+      .then(() => {
+        window.scrollTo(0, 300)
+        return router.navigate('/about')
+      })
+      .then(() => {
+        expect(window.pageYOffset).toBe(0)
+        window.scrollTo(0, 50)
+        return router.back()
+      })
+      .then(() => {
+        expect(scrollBehavior).toHaveBeenLastCalledWith(
+          expect.objectContaining({ name: 'home' }),
+          expect.objectContaining({ name: 'about' }),
+          { x: 0, y: 300 })
+        expect(window.pageYOffset).toBe(300)
+        return router.forward()
+      })
+      .then(() => expect(window.pageYOffset).toBe(50))
+  })
+
+  it('scrolls to an element selector after the page has entered', () => {
+    scrollBehavior = to => to.hash ? { selector: to.hash, offset: { y: 10 } } : false
+
+    return router.mount('#app')
+      .then(() => router.navigate({ path: '/about', hash: '#team' }))
+      .then(() => {
+        expect(window.scrollTo).toHaveBeenLastCalledWith(0, -10)
+      })
+  })
+
+  it('waits for promises and ignores falsy positions', () => {
+    scrollBehavior = () => wait(10).then(() => ({ x: 5, y: 15 }))
+
+    return router.mount('#app')
+      .then(() => {
+        expect(window.scrollTo).toHaveBeenLastCalledWith(5, 15)
+        window.scrollTo.mockClear()
+        scrollBehavior = () => false
+        return router.navigate('/about')
+      })
+      .then(() => expect(window.scrollTo).not.toHaveBeenCalled())
+  })
+})
@@ -0,0 +1,99 @@
+/**
+ * @jest-environment node
+ */
+
+import Router from '../src/index'
+
+class Page {
+  $mount () {}
+  $destroy () {}
+}
+
+class Shop extends Page {
+  get template () {
+    return '<div class="shop"><main data-router-view></main></div>'
+  }
+}
+
+class Product extends Page {
+  $renderToString () {
+    return Promise.resolve('<p>product</p>')
+  }
+}
+
+class Login extends Page {
+  get template () {
+    return '<form class="login"></form>'
+  }
+}
+
+describe('server rendering', () => {
+  let router
+
+  beforeEach(() => {
+    router = new Router({
+      components: { Shop, Product, Login },
+      routes: [{
+        name: 'shop',
+        path: '/shop/:category',
+        component: 'Shop',
+        children: [{
+          name: 'product',
+          path: ':id',
+          component: 'Product',
+          resolve: { price: route => Promise.resolve(route.params.id * 10) }
+        }]
+      }, {
+        name: 'account',
+        path: '/account',
+        component: 'Shop',
+        beforeEnter: (from, to, next) => next({ name: 'login' })
+      }, {
+        name: 'old-shop',
+        path: '/old-shop/:category',
+        redirect: '/shop/:category'
+      }, {
+        name: 'login',
+        path: '/login',
+        component: 'Login'
+      }]
+    })
+  })
+
+  it('runs in server mode without window', () => {
+    expect(typeof window).toBe('undefined')
+    expect(router.mode).toBe(Router.SERVER_MODE)
+  })
+
+  it('renders instances into the view of their parent', () => {
+    return router.renderToString('/shop/shoes/4?color=red').then(result => {
+      expect(result.html).toBe('<div class="shop"><main data-router-view>' +
+        '<p>product</p></main></div>')
+      expect(result.route.name).toBe('product')
+      expect(result.redirect).toBe(null)
+      expect(result.state.route.query).toEqual({ color: 'red' })
+      expect(result.state.data).toEqual({ price: 40 })
+    })
+  })
+
+  it('follows redirects of guards', () => {
+    return router.renderToString('/account').then(result => {
+      expect(result.route.name).toBe('login')
+      expect(result.html).toBe('<form class="login"></form>')
+      expect(result.redirect).toBe('/login')
+    })
+  })
+
+  it('follows redirects of routes', () => {
+    return router.renderToString('/old-shop/hats').then(result => {
+      expect(result.route.name).toBe('shop')
+      expect(result.redirect).toBe('/shop/hats')
+    })
+  })
+
+  it('serializes the state into a script', () => {
+    expect(router.serializeState({ html: '</script>' })).toBe(
+      '<script>window["__ROUTER_STATE__"] = {"html":"\\u003C/script>"}' +
+      '</script>')
+  })
+})
@@ -0,0 +1,131 @@
+import Router from '../src/index'
+import { createComponent, createRouter } from './helpers'
+
+describe('transitions', () => {
+  let router
+  let log
+  let transitions
+
+  const createPage = name => createComponent(name, {
+    log,
+    $leave (transition) {
+      log.push(`${name}:leave`)
+      transitions.push(transition)
+      return Promise.resolve().then(() => log.push(`${name}:left`))
+    },
+    $enter (transition) {
+      log.push(`${name}:enter`)
+      return Promise.resolve().then(() => log.push(`${name}:entered`))
+    }
+  })
+
+  const navigateToAbout = () => router.mount('#app').then(() => {
+    log.length = 0
+    return router.navigate('/about')
+  })
+
+  beforeEach(() => {
+    log = []
+    transitions = []
+  })
+
+  afterEach(() => router.destroy())
+
+  const createTransitionRouter = (transition, aboutTransition) => {
+    router = createRouter({
+      transition,
+      routes: [
+        { name: 'home', path: '/', component: createPage('home') },
+        {
+          name: 'about',
+          path: '/about',
+          component: createPage('about'),
+          transition: aboutTransition
+        }
+      ]
+    })
+  }
+
+  it('leaves then enters in out-in mode', () => {
+    createTransitionRouter(Router.OUT_IN_TRANSITION)
+
+    return navigateToAbout().then(() => {
+      expect(log).toEqual([
+        'about:create',
+        'home:leave',
+        'home:left',
+        'home:destroy',
+        'about:mount',
+        'about:enter',
+        'about:entered'
+      ])
+    })
+  })
+
+  it('enters then leaves in in-out mode', () => {
+    createTransitionRouter(Router.IN_OUT_TRANSITION)
+
+    return navigateToAbout().then(() => {
+      expect(log).toEqual([
+        'about:create',
+        'about:mount',
+        'about:enter',
+        'about:entered',
+        'home:leave',
+        'home:left',
+        'home:destroy'
+      ])
+    })
+  })
+
+  it('enters and leaves at the same time in simultaneous mode', () => {
+    createTransitionRouter(Router.SIMULTANEOUS_TRANSITION)
+
+    return navigateToAbout().then(() => {
+      expect(log).toEqual([
+        'about:create',
+        'about:mount',
+        'about:enter',
+        'home:leave',
+        'about:entered',
+        'home:left',
+        'home:destroy'
+      ])
+    })
+  })
+
+  it('uses route transitions and transition functions', () => {
+    const transition = jest.fn(() => ({
+      mode: Router.OUT_IN_TRANSITION,
+      direction: 'forward'
+    }))
+
+    createTransitionRouter(Router.IN_OUT_TRANSITION, transition)
+
+    return navigateToAbout().then(() => {
+      const [from, to, action] = transition.mock.calls[0]
+
+      expect(from.name).toBe('home')
+      expect(to.name).toBe('about')
+      expect(action).toBe(Router.PUSH_ACTION)
+      expect(transitions[0]).toMatchObject({
+        mode: Router.OUT_IN_TRANSITION,
+        direction: 'forward',
+        action: Router.PUSH_ACTION
+      })
+      expect(log.indexOf('home:destroy')).toBeLessThan(
+        log.indexOf('about:mount'))
+    })
+  })
+
+  it('passes the pop action to transitions on back navigation', () => {
+    createTransitionRouter(Router.OUT_IN_TRANSITION)
+
+    return navigateToAbout()
+      .then(() => router.back())
+      .then(() => {
+        expect(transitions[1].action).toBe(Router.POP_ACTION)
+        expect(transitions[1].from.name).toBe('about')
+      })
+  })
+})